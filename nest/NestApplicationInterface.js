@@ -2,29 +2,69 @@
 
 const NestNetworkManager = require('./network/NestNetworkManager');
 const NestRepresentationManager = require('./representations/NestRepresentationManager');
+const NestLogger = require('./NestLogger');
+const WRITE_REPLAY_OUTCOMES = require('./network/NestNetworkManagerContants').WRITE_REPLAY_OUTCOMES;
 
 /**
  * The application interface frontend to the WWN API SDK. Inits an instance
  * of representation and network manager and sets up the necessary event
  * listeners between the two while providing access to several public functions
  * of each interface to ease development while using the SDK.
+ * Each instance holds its own token, streams and caches, so several
+ * instances can serve several accounts side by side; see
+ * NestApplicationRegistry for managing them.
  * @class NestApplicationInterface
+ * @property {String|Null} accountId - the identifier of the account served by the instance, if given
  * @property {NestNetworkManager} NetworkManager
  * @property {NestRepresentationManager} RepresentationManager
  */
 class NestApplicationInterface {
 
-    /** @constructor */
-    constructor ( ) {
+    /**
+     * @constructor
+     * @param {Object} [options]
+     * @param {String} [options.accountId] - an identifier of the account served by the instance
+     * @param {NestRequestTransport} [options.transport] - the HTTP transport of the Network Manager
+     * @param {NestTransportSettings} [options.transportSettings] - the proxy, certificate authorities and client certificate of the default transport of the Network Manager
+     * @param {String} [options.apiUrl] - the root WWN API url of the Network Manager
+     * @param {String} [options.oauthUrl] - the access token url of the Network Manager
+     * @param {String} [options.tokenRevocationUrl] - the url the Network Manager revokes access tokens from
+     * @param {Object} [options.rateLimitPolicy] - the write scheduling policy of the Network Manager
+     * @param {Number} [options.redirectCacheTtl] - the time (ms) the Network Manager remembers a redirect of the WWN API for
+     * @param {NestLogger} [options.logger] - the logger of both managers, see setLogger; silent by default
+     * @param {Object} [options.writeQueue] - enables the offline write queue of the Network Manager with the given store and replay interval
+     */
+    constructor ( options ) {
+
+        options = options || {};
 
-        this.NetworkManager = new NestNetworkManager();
+        this.accountId = options.accountId || null;
+        this.NetworkManager = new NestNetworkManager({
+            transport: options.transport
+            , transportSettings: options.transportSettings
+            , apiUrl: options.apiUrl
+            , oauthUrl: options.oauthUrl
+            , tokenRevocationUrl: options.tokenRevocationUrl
+            , rateLimitPolicy: options.rateLimitPolicy
+            , redirectCacheTtl: options.redirectCacheTtl
+            , writeQueue: options.writeQueue
+        });
         this.RepresentationManager = new NestRepresentationManager();
+        this.setLogger( options.logger || new NestLogger() );
 
         this.NetworkManager.addServiceStreamDataUpdateListener(
             this.RepresentationManager.handleNetworkManagerStreamUpdate.bind(
                 this.RepresentationManager
             )
         );
+        this.NetworkManager.addServiceAuthRevokedEventListener(
+            this.RepresentationManager.clearCaches.bind(
+                this.RepresentationManager
+            )
+        );
+        this.NetworkManager.addWriteReplayedListener(
+            this._handleReplayedWrite.bind(this)
+        );
     }
 
     /**
@@ -36,20 +76,23 @@ class NestApplicationInterface {
      * @param {String} clientId
      * @param {String} clientSecret
      * @param {String} pinCode - the pin generated during the oauth flow from the WWN API
-     * @returns {RSVP.Promise} - a promise that will be resolved or rejected after the OAuth process is finished
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call, see NestNetworkManager
+     * @returns {RSVP.Promise} - a promise that will be resolved with the NestCredential ( token, issuedAt, expiresAt ) or rejected after the OAuth process is finished
      */
-    doOauth ( clientId, clientSecret, pinCode ) {
+    doOauth ( clientId, clientSecret, pinCode, requestOptions ) {
 
-        return this.NetworkManager.doOauth( clientId, clientSecret, pinCode );
+        return this.NetworkManager.doOauth( clientId, clientSecret, pinCode, requestOptions );
     }
 
     /**
      * Sets the accessToken property on the network manager instance thereby
      * allowing the network manager to make HTTP requests against the WWN API.
+     * The expiry of the token is tracked when the credential resolved by
+     * doOauth is given instead of the bare token.
      * @public
      * @memberof NestApplicationInterface
      * @method setToken
-     * @param {String} accessToken - the WWN API OAUTH2 access token
+     * @param {String|NestCredential} accessToken - the WWN API OAUTH2 access token or a credential holding it
      * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
     setToken( token ) {
@@ -58,18 +101,293 @@ class NestApplicationInterface {
     }
 
     /**
-     * Attempts to begin a REST stream against the WWN API. Returns a promise
-     * which will be resolved/rejected when the REST stream ends and whether it
-     * ends in error. Will also add a listener to the streams 'data' event so
-     * that updates on the stream can be emitted to applicable listeners.
+     * Revokes the access token with the OAuth service through the associated
+     * Network Manager, closing the REST streams, and clears the caches of the
+     * associated Representation Manager once the token is revoked. The user
+     * has to go through the OAuth flow again to reconnect.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method deauthorize
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call, see NestNetworkManager
+     * @returns {RSVP.Promise} - a promise resolved once the token has been revoked
+     */
+    deauthorize ( requestOptions ) {
+
+        return this.NetworkManager.deauthorize( requestOptions ).then(
+            () => {
+
+                this.RepresentationManager.clearCaches();
+            }
+        );
+    }
+
+    /**
+     * Returns the time at which the token of the associated Network Manager
+     * expires.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method getTokenExpiry
+     * @returns {Number|Null} - the time (ms since epoch) or null if no token is set or its expiry is unknown
+     */
+    getTokenExpiry ( ) {
+
+        return this.NetworkManager.getTokenExpiry();
+    }
+
+    /**
+     * Returns the runtime metrics of the associated Network Manager.
      * @public
      * @memberof NestApplicationInterface
-     * @method _addServiceStreamDataListener
-     * @returns {RSVP.Promise} - a promise to be resolved/reject upon normal closure/failure of the stream
+     * @method getMetrics
+     * @returns {NestMetrics} - the health of the streams, the status codes of the requests and the latency of the writes
      */
-    streamServiceChanges ( ) {
+    getMetrics ( ) {
 
-        this.NetworkManager.streamServiceChanges();
+        return this.NetworkManager.getMetrics();
+    }
+
+    /**
+     * Sets the time between two metrics events of the associated Network
+     * Manager.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method setMetricsInterval
+     * @param {Number} interval - the time (ms); 0 disables the event
+     */
+    setMetricsInterval ( interval ) {
+
+        this.NetworkManager.setMetricsInterval( interval );
+    }
+
+    /**
+     * Enables the offline write queue of the associated Network Manager, so
+     * that updates made while the WWN API cannot be reached are replayed once
+     * it can be reached again.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method enableOfflineWriteQueue
+     * @param {Object} [options]
+     * @param {Object} [options.store] - the store the queue is saved to, see NestWriteQueue.createFileStore; kept in memory by default
+     * @param {Number} [options.replayInterval] - the time (ms) between two replays while writes are queued; 0 disables the periodic replay
+     */
+    enableOfflineWriteQueue ( options ) {
+
+        this.NetworkManager.enableOfflineWriteQueue( options );
+    }
+
+    /**
+     * Disables the offline write queue of the associated Network Manager.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method disableOfflineWriteQueue
+     */
+    disableOfflineWriteQueue ( ) {
+
+        this.NetworkManager.disableOfflineWriteQueue();
+    }
+
+    /**
+     * Returns the writes queued by the associated Network Manager.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method getQueuedWrites
+     * @returns {Array<NestQueuedWrite>} - the queued writes in the order they will be replayed
+     */
+    getQueuedWrites ( ) {
+
+        return this.NetworkManager.getQueuedWrites();
+    }
+
+    /**
+     * Replays the writes queued by the associated Network Manager.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method replayWriteQueue
+     * @returns {RSVP.Promise} - a promise resolved with the outcome of every write replayed
+     */
+    replayWriteQueue ( ) {
+
+        return this.NetworkManager.replayWriteQueue();
+    }
+
+    /**
+     * Sets how long ahead of the expiry of the token the associated Network
+     * Manager emits the 'tokenExpiring' event.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method setTokenExpiryWarningPeriod
+     * @param {Number} period - the time (ms) ahead of the expiry
+     */
+    setTokenExpiryWarningPeriod ( period ) {
+
+        this.NetworkManager.setTokenExpiryWarningPeriod( period );
+    }
+
+    /**
+     * Sets the root WWN API url and, optionally, the access token and token
+     * revocation urls of the OAUTH2 pin flow used by the associated Network
+     * Manager; e.g. to point the SDK at a local mock of the API.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method setApiUrls
+     * @param {String} apiUrl - the root WWN API url
+     * @param {String} [oauthUrl] - the access token url
+     * @param {String} [tokenRevocationUrl] - the url access tokens are revoked from
+     */
+    setApiUrls ( apiUrl, oauthUrl, tokenRevocationUrl ) {
+
+        this.NetworkManager.setApiUrl( apiUrl );
+
+        if ( oauthUrl ) {
+
+            this.NetworkManager.setOauthUrl( oauthUrl );
+        }
+
+        if ( tokenRevocationUrl ) {
+
+            this.NetworkManager.setTokenRevocationUrl( tokenRevocationUrl );
+        }
+    }
+
+    /**
+     * Sets the time the associated Network Manager remembers a redirect of
+     * the WWN API for.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method setRedirectCacheTtl
+     * @param {Number} ttl - the time (ms); 0 disables the cache
+     */
+    setRedirectCacheTtl ( ttl ) {
+
+        this.NetworkManager.setRedirectCacheTtl( ttl );
+    }
+
+    /**
+     * Sets the logger of the associated Network and Representation Managers.
+     * The records of an instance serving an account carry its accountId, so
+     * that the records of several accounts can be told apart.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method setLogger
+     * @param {NestLogger} logger
+     */
+    setLogger ( logger ) {
+
+        const instanceLogger = this.accountId === null
+            ? logger
+            : logger.child( null, { accountId: this.accountId } );
+
+        this.NetworkManager.setLogger( instanceLogger );
+        this.RepresentationManager.setLogger( instanceLogger );
+    }
+
+    /**
+     * Call with TRUE/FALSE to set whether or not the associated Network Manager
+     * should attempt to automatically reinit the REST stream after it is closed.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method setAutoReinitStream
+     * @param {Boolean} shouldAutoReinit
+     */
+    setAutoReinitStream ( shouldAutoReinit ) {
+
+        this.NetworkManager.setAutoReinitStream( shouldAutoReinit );
+    }
+
+    /**
+     * Overrides the backoff policy used by the associated Network Manager
+     * when automatically reconnecting the REST stream.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method setStreamReconnectPolicy
+     * @param {Object} policy - see NestNetworkManager#setStreamReconnectPolicy
+     */
+    setStreamReconnectPolicy ( policy ) {
+
+        this.NetworkManager.setStreamReconnectPolicy( policy );
+    }
+
+    /**
+     * Sets the default time after which the calls of the associated Network
+     * Manager are abandoned.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method setRequestTimeout
+     * @param {Number} timeout - the timeout (ms); 0 disables the timeout
+     */
+    setRequestTimeout ( timeout ) {
+
+        this.NetworkManager.setRequestTimeout( timeout );
+    }
+
+    /**
+     * Overrides the policy used by the associated Network Manager to retry
+     * requests failing with a transient error ( e.g. 503 ).
+     * @public
+     * @memberof NestApplicationInterface
+     * @method setRequestRetryPolicy
+     * @param {Object} policy - see NestNetworkManager#setRequestRetryPolicy
+     */
+    setRequestRetryPolicy ( policy ) {
+
+        this.NetworkManager.setRequestRetryPolicy( policy );
+    }
+
+    /**
+     * Overrides the policy used by the associated Network Manager to pace
+     * device updates within the rate limits of the WWN API.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method setRateLimitPolicy
+     * @param {Object} policy - see NestNetworkManager#setRateLimitPolicy
+     */
+    setRateLimitPolicy ( policy ) {
+
+        this.NetworkManager.setRateLimitPolicy( policy );
+    }
+
+    /**
+     * Returns whether the associated Network Manager is being rate limited
+     * by the WWN API and how many device updates are waiting to be made.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method getRateLimitState
+     * @returns {Object} - see NestNetworkManager#getRateLimitState
+     */
+    getRateLimitState ( ) {
+
+        return this.NetworkManager.getRateLimitState();
+    }
+
+    /**
+     * Attempts to begin a REST stream against the WWN API for each of the
+     * given scopes, or for the account root if no scope is given. Returns a
+     * promise which will be resolved/rejected when the REST streams end and
+     * whether they end in error. Updates received on the streams are merged
+     * into the associated Representation Manager.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method streamServiceChanges
+     * @param {String|Array<String>} [scopes] - the paths to stream ( e.g. /devices/thermostats/<id>, /structures/<id> )
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call, see NestNetworkManager
+     * @returns {RSVP.Promise} - a promise to be resolved/reject upon normal closure/failure of the streams
+     */
+    streamServiceChanges ( scopes, requestOptions ) {
+
+        return this.NetworkManager.streamServiceChanges( scopes, requestOptions );
+    }
+
+    /**
+     * Closes the REST streams of the given scopes, or every REST stream if no
+     * scope is given.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method closeServiceStreams
+     * @param {String|Array<String>} [scopes] - the paths of the streams to close
+     */
+    closeServiceStreams ( scopes ) {
+
+        this.NetworkManager.closeServiceStreams( scopes );
     }
 
     /**
@@ -96,6 +414,104 @@ class NestApplicationInterface {
         this.NetworkManager.addServiceStreamDataUpdateListener( fn );
     }
 
+    /**
+     * Add a listener to the 'authTokenRevoked' event of the associated
+     * Network Manager. By the time listeners are called the token has been
+     * removed, the stream closed and the caches cleared; the user has to go
+     * through the OAuth flow again.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method addAuthTokenRevokedListener
+     */
+    addAuthTokenRevokedListener ( fn ) {
+
+        this.NetworkManager.addServiceAuthRevokedEventListener( fn );
+    }
+
+    /**
+     * Add a listener to the 'rateLimitationChanged' event of the associated
+     * Network Manager.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method addRateLimitationChangedListener
+     */
+    addRateLimitationChangedListener ( fn ) {
+
+        this.NetworkManager.addRateLimitationChangedListener( fn );
+    }
+
+    /**
+     * Add a listener to the 'requestRetry' event of the associated Network
+     * Manager.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method addRequestRetryListener
+     */
+    addRequestRetryListener ( fn ) {
+
+        this.NetworkManager.addRequestRetryListener( fn );
+    }
+
+    /**
+     * Add a listener to the 'tokenExpiring' event of the associated Network
+     * Manager, emitted while there is still time to renew the token.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method addTokenExpiringListener
+     */
+    addTokenExpiringListener ( fn ) {
+
+        this.NetworkManager.addTokenExpiringListener( fn );
+    }
+
+    /**
+     * Add a listener to the 'tokenExpired' event of the associated Network
+     * Manager.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method addTokenExpiredListener
+     */
+    addTokenExpiredListener ( fn ) {
+
+        this.NetworkManager.addTokenExpiredListener( fn );
+    }
+
+    /**
+     * Add a listener to the 'metrics' event of the associated Network
+     * Manager.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method addMetricsListener
+     */
+    addMetricsListener ( fn ) {
+
+        this.NetworkManager.addMetricsListener( fn );
+    }
+
+    /**
+     * Add a listener to the 'writeQueued' event of the associated Network
+     * Manager.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method addWriteQueuedListener
+     */
+    addWriteQueuedListener ( fn ) {
+
+        this.NetworkManager.addWriteQueuedListener( fn );
+    }
+
+    /**
+     * Add a listener to the 'writeReplayed' event of the associated Network
+     * Manager.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method addWriteReplayedListener
+     */
+    addWriteReplayedListener ( fn ) {
+
+        this.NetworkManager.addWriteReplayedListener( fn );
+    }
+
     /**
      * Add a listener to the 'hydrated' event of the
      * associated Representation Manager.
@@ -126,6 +542,20 @@ class NestApplicationInterface {
         return this.RepresentationManager.getDeviceByName( name );
     }
 
+    /**
+     * Searches for a device in the local cache based on the device id. Will
+     * only return null if a device cannot be found with the given id.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method getDeviceById
+     * @param {String} id - the device id to search with
+     * @returns {Object|Null} - The device object if a match if found, otherwise Null
+     */
+    getDeviceById ( id ) {
+
+        return this.RepresentationManager.getDeviceById( id );
+    }
+
     /**
      * Returns the device cache of the associated Representation Manager
      * @public
@@ -159,16 +589,146 @@ class NestApplicationInterface {
      * @param {Object} deviceData - the device object which can be requested from the Representation Manager
      * @param {String} keyToUpdate - the key to update on the service relative to the device being updated
      * @param {String|Number} valueToUpdateWith - the value to update the WWN API with
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call, see NestNetworkManager
      * @returns {RSVP.Promise} - a promise to be resolved/reject upon failure/success of the PUT request
      */
-    updateDevice ( deviceData, targetKey, targetValue ) {
+    updateDevice ( deviceData, targetKey, targetValue, requestOptions ) {
 
         return this.NetworkManager.updateDevice(
             deviceData
             , targetKey
             , targetValue
+            , requestOptions
+        );
+    }
+
+    /**
+     * Returns a promise for resolution/rejection upon transaction completion
+     * with the WWN API, updating several fields of a device at once.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method updateDeviceFields
+     * @param {Object} deviceData - the device object which can be requested from the Representation Manager
+     * @param {Object} fields - the values to update keyed by field ( e.g. { hvac_mode: "heat-cool", target_temperature_low_f: 66, target_temperature_high_f: 74 } )
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call, see NestNetworkManager
+     * @returns {RSVP.Promise} - a promise to be resolved/reject upon failure/success of the PUT request
+     */
+    updateDeviceFields ( deviceData, fields, requestOptions ) {
+
+        return this.NetworkManager.updateDeviceFields( deviceData, fields, requestOptions );
+    }
+
+    /**
+     * Returns a promise for resolution/rejection upon transaction completion
+     * with the WWN API, updating the writable fields of a structure ( e.g.
+     * { away: "away" } ).
+     * @public
+     * @memberof NestApplicationInterface
+     * @method updateStructure
+     * @param {Object} structureData - the structure object which can be requested from the Representation Manager
+     * @param {Object} fields - the values to update keyed by field
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call, see NestNetworkManager
+     * @returns {RSVP.Promise} - a promise to be resolved/reject upon failure/success of the PUT request
+     */
+    updateStructure ( structureData, fields, requestOptions ) {
+
+        return this.NetworkManager.updateStructure( structureData, fields, requestOptions );
+    }
+
+    /**
+     * Tells a structure when someone is expected to arrive so that its
+     * thermostats can pre-condition the home. The beginning of the window is
+     * set as eta_begin on the cached structure once the WWN API has accepted
+     * the ETA, which may only be once it is replayed from the offline write
+     * queue.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method setStructureEta
+     * @param {Object} structureData - the structure object which can be requested from the Representation Manager
+     * @param {Date|Number|String} windowBegin - the earliest expected arrival
+     * @param {Date|Number|String} windowEnd - the latest expected arrival
+     * @param {String} [tripId] - the id of the trip being updated; generated if omitted
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call, see NestNetworkManager
+     * @returns {RSVP.Promise} - a promise resolved with the ETA object, which holds the trip id, or rejected upon failure
+     */
+    setStructureEta ( structureData, windowBegin, windowEnd, tripId, requestOptions ) {
+
+        return this.NetworkManager.setStructureEta(
+            structureData
+            , windowBegin
+            , windowEnd
+            , tripId
+            , requestOptions
+        ).then(
+            ( eta ) => {
+
+                this.RepresentationManager.setStructureEtaBegin(
+                    structureData.structure_id
+                    , eta.estimated_arrival_window_begin
+                );
+
+                return eta;
+            }
+        );
+    }
+
+    /**
+     * Cancels a trip towards a structure and removes eta_begin from the
+     * cached structure, once the cancellation has been accepted.
+     * @public
+     * @memberof NestApplicationInterface
+     * @method cancelStructureEta
+     * @param {Object} structureData - the structure object which can be requested from the Representation Manager
+     * @param {String} tripId - the id of the trip to cancel
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call, see NestNetworkManager
+     * @returns {RSVP.Promise} - a promise resolved with the ETA object or rejected upon failure
+     */
+    cancelStructureEta ( structureData, tripId, requestOptions ) {
+
+        return this.NetworkManager.cancelStructureEta(
+            structureData
+            , tripId
+            , requestOptions
+        ).then(
+            ( eta ) => {
+
+                this.RepresentationManager.setStructureEtaBegin(
+                    structureData.structure_id
+                    , null
+                );
+
+                return eta;
+            }
+        );
+    }
+
+    /**
+     * Handler for the NestNetworkManager writeReplayed event emission. Sets
+     * eta_begin on the cached structure once an ETA queued while the WWN API
+     * could not be reached has been accepted, as setStructureEta and
+     * cancelStructureEta do for an ETA accepted right away.
+     * @private
+     * @memberof NestApplicationInterface
+     * @method _handleReplayedWrite
+     * @param {NestWriteReplayOutcome} outcome - the outcome of the replayed write
+     */
+    _handleReplayedWrite ( outcome ) {
+
+        const eta = outcome.entry.fields;
+
+        if ( outcome.outcome !== WRITE_REPLAY_OUTCOMES.succeeded || outcome.entry.kind !== "eta" ) {
+
+            return ;
+        }
+
+        // a window of zeros cancels the trip
+        this.RepresentationManager.setStructureEtaBegin(
+            outcome.entry.target.structure_id
+            , eta.estimated_arrival_window_begin === 0 ? null : eta.estimated_arrival_window_begin
         );
     }
 }
 
+// the default instance, for applications serving a single account
 module.exports = new NestApplicationInterface();
+module.exports.NestApplicationInterface = NestApplicationInterface;
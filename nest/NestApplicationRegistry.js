@@ -0,0 +1,225 @@
+'use strict';
+
+const forEach = require('lodash').forEach;
+const has = require('lodash').has;
+const keys = require('lodash').keys;
+const assign = require('lodash').assign;
+const isNull = require('lodash').isNull;
+const isArray = require('lodash').isArray;
+
+const NestApplicationInterface = require('./NestApplicationInterface').NestApplicationInterface;
+
+/**
+ * A registry of application interfaces keyed by account, for processes which
+ * serve several WWN accounts at once. Every account gets an independent
+ * NestApplicationInterface, with its own Network Manager ( token, streams )
+ * and Representation Manager ( caches ). The registry offers queries which
+ * aggregate the caches of all registered accounts.
+ * @class NestApplicationRegistry
+ * @property {Object<NestApplicationInterface>} interfaces - the registered interfaces keyed by account id
+ */
+class NestApplicationRegistry {
+
+    /** @constructor */
+    constructor ( ) {
+
+        this.interfaces = {};
+    }
+
+    /**
+     * Returns the interface registered for the given account, creating and
+     * registering a new interface if there is none.
+     * @public
+     * @memberof NestApplicationRegistry
+     * @method getInterface
+     * @param {String} accountId - an identifier of the account
+     * @param {Object} [options] - options passed to the constructor of a new interface
+     * @returns {NestApplicationInterface} - the interface of the account
+     */
+    getInterface ( accountId, options ) {
+
+        if ( !this.hasInterface(accountId) ) {
+
+            this.interfaces[accountId] = new NestApplicationInterface(
+                assign( {}, options, { accountId: accountId } )
+            );
+        }
+
+        return this.interfaces[accountId];
+    }
+
+    /**
+     * Returns whether or not an interface is registered for the given account.
+     * @public
+     * @memberof NestApplicationRegistry
+     * @method hasInterface
+     * @param {String} accountId - an identifier of the account
+     * @returns {Boolean}
+     */
+    hasInterface ( accountId ) {
+
+        return has( this.interfaces, accountId );
+    }
+
+    /**
+     * Closes the streams of the interface registered for the given account,
+     * removes its token and unregisters it.
+     * @public
+     * @memberof NestApplicationRegistry
+     * @method removeInterface
+     * @param {String} accountId - an identifier of the account
+     * @returns {NestApplicationRegistry} - the registry instance so that calls can be chained
+     */
+    removeInterface ( accountId ) {
+
+        if ( !this.hasInterface(accountId) ) {
+
+            return this;
+        }
+
+        this.interfaces[accountId].closeServiceStreams();
+        this.interfaces[accountId].NetworkManager.removeToken();
+        delete this.interfaces[accountId];
+
+        return this;
+    }
+
+    /**
+     * Returns the ids of all registered accounts.
+     * @public
+     * @memberof NestApplicationRegistry
+     * @method getAccountIds
+     * @returns {Array<String>}
+     */
+    getAccountIds ( ) {
+
+        return keys( this.interfaces );
+    }
+
+    /**
+     * Returns the device caches of all registered accounts.
+     * @public
+     * @memberof NestApplicationRegistry
+     * @method getAllDevices
+     * @returns {Object} - a copy of each accounts device cache keyed by account id
+     */
+    getAllDevices ( ) {
+
+        return this._collect(
+            ( applicationInterface ) => applicationInterface.getAllDevices()
+        );
+    }
+
+    /**
+     * Returns the structure caches of all registered accounts.
+     * @public
+     * @memberof NestApplicationRegistry
+     * @method getAllStructures
+     * @returns {Object} - a copy of each accounts structure cache keyed by account id
+     */
+    getAllStructures ( ) {
+
+        return this._collect(
+            ( applicationInterface ) => applicationInterface.getAllStructures()
+        );
+    }
+
+    /**
+     * Searches the caches of all registered accounts for a device with the
+     * given id.
+     * @public
+     * @memberof NestApplicationRegistry
+     * @method getDeviceById
+     * @param {String} id - the device id to search with
+     * @returns {Object|Null} - an object holding the accountId and the device if a match is found, otherwise Null
+     */
+    getDeviceById ( id ) {
+
+        var result = null;
+
+        forEach(
+            this.interfaces
+            , ( applicationInterface, accountId ) => {
+
+                const device = applicationInterface.getDeviceById( id );
+
+                if ( !isNull(device) ) {
+
+                    result = {
+                        accountId: accountId
+                        , device: device
+                    };
+
+                    return false;
+                }
+            }
+        );
+
+        return result;
+    }
+
+    /**
+     * Searches the caches of all registered accounts for devices with the
+     * given name.
+     * @public
+     * @memberof NestApplicationRegistry
+     * @method getDevicesByDeviceName
+     * @param {String} name - the string to search with
+     * @returns {Array<Object>} - an object holding the accountId and the device for each match; empty if no matches are found
+     */
+    getDevicesByDeviceName ( name ) {
+
+        var results = [];
+
+        forEach(
+            this.interfaces
+            , ( applicationInterface, accountId ) => {
+
+                var devices = applicationInterface.getDeviceByDeviceName( name );
+
+                if ( isNull(devices) ) {
+
+                    return ;
+                }
+
+                forEach(
+                    isArray(devices) ? devices : [ devices ]
+                    , ( device ) => {
+
+                        results.push({
+                            accountId: accountId
+                            , device: device
+                        });
+                    }
+                );
+            }
+        );
+
+        return results;
+    }
+
+    /**
+     * Maps every registered interface through the given function.
+     * @private
+     * @memberof NestApplicationRegistry
+     * @method _collect
+     * @param {Function} fn - called with each interface and its account id
+     * @returns {Object} - the results keyed by account id
+     */
+    _collect ( fn ) {
+
+        var results = {};
+
+        forEach(
+            this.interfaces
+            , ( applicationInterface, accountId ) => {
+
+                results[accountId] = fn( applicationInterface, accountId );
+            }
+        );
+
+        return results;
+    }
+}
+
+module.exports = NestApplicationRegistry;
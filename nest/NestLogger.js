@@ -0,0 +1,334 @@
+'use strict';
+
+// IMPORTS: NODE.JS THIRD-PARTY
+const assign = require('lodash').assign;
+const forEach = require('lodash').forEach;
+const has = require('lodash').has;
+const includes = require('lodash').includes;
+const isNull = require('lodash').isNull;
+const isFunction = require('lodash').isFunction;
+const isEmpty = require('lodash').isEmpty;
+const mapValues = require('lodash').mapValues;
+
+// IMPORTS: NEST RESOURCES
+const NestRedaction = require('./NestRedaction');
+
+/**
+ * The levels a record can be logged at, ordered from the most to the least
+ * severe; a logger writes the records of its level and of the levels above it.
+ */
+const LOG_LEVELS = {
+    "error": 0
+    , "warn": 1
+    , "info": 2
+    , "debug": 3
+};
+
+const DEFAULT_LOG_LEVEL = "info";
+
+/**
+ * Turns the errors among the fields of a record into plain objects, since
+ * the properties of an error are not enumerable and would otherwise be lost
+ * once the record is serialized.
+ * @function
+ * @name serializeFields
+ * @param {Object} fields - the fields of a record
+ * @returns {Object} - the fields with each error replaced by its name, message and status code
+ */
+function serializeFields ( fields ) {
+
+    return mapValues(
+        fields
+        , ( value ) => {
+
+            if ( !( value instanceof Error ) ) {
+
+                return value;
+            }
+
+            return {
+                name: value.name
+                , message: value.message
+                , statusCode: has( value, 'statusCode' ) ? value.statusCode : undefined
+            };
+        }
+    );
+}
+
+/**
+ * The logger of the SDK. A logger writes structured records to a sink, a
+ * function the application provides to route them to the console, a file or
+ * a log collector; without a sink nothing is written, so that the SDK stays
+ * silent when used as a library. Loggers for the parts of the SDK are
+ * derived through child, which adds a namespace ( e.g. network, stream,
+ * cache or auth ) while sharing the level and sink of the logger they were
+ * derived from. The secrets held by a record ( access tokens, client secret,
+ * PIN ) are masked before it reaches the sink.
+ * @class NestLogger
+ * @property {String|Null} namespace - the namespace of the records written by the logger
+ * @property {Object} fields - the fields added to every record written by the logger
+ * @property {Object} settings - the level and sink, shared with every logger derived from the same root
+ */
+class NestLogger {
+
+    /**
+     * @constructor
+     * @param {Object} [options]
+     * @param {String} [options.level] - the least severe level written; defaults to info
+     * @param {Function} [options.sink] - the function called with each written record; without one nothing is written
+     * @param {String} [options.namespace] - the namespace of the records written by the logger
+     * @param {Object} [options.fields] - the fields added to every record written by the logger
+     */
+    constructor ( options ) {
+
+        options = options || {};
+
+        this.namespace = options.namespace || null;
+        this.fields = assign( {}, options.fields );
+        this.settings = {
+            level: has( LOG_LEVELS, options.level ) ? options.level : DEFAULT_LOG_LEVEL
+            , sink: isFunction(options.sink) ? options.sink : null
+        };
+    }
+
+    /**
+     * Derives a logger which writes its records under the given namespace,
+     * appended to the namespace of this logger, and which shares the level
+     * and sink of this logger. Without a namespace the derived logger keeps
+     * the namespace of this logger and only adds its fields.
+     * @public
+     * @memberof NestLogger
+     * @method child
+     * @param {String|Null} namespace - the namespace of the derived logger ( e.g. stream )
+     * @param {Object} [fields] - the fields added to every record of the derived logger
+     * @returns {NestLogger} - the derived logger
+     */
+    child ( namespace, fields ) {
+
+        const childLogger = new NestLogger({
+            namespace: isEmpty(this.namespace) || isEmpty(namespace)
+                ? namespace || this.namespace
+                : [ this.namespace, namespace ].join(":")
+            , fields: assign( {}, this.fields, fields )
+        });
+
+        childLogger.settings = this.settings;
+
+        return childLogger;
+    }
+
+    /**
+     * Sets the least severe level written by the logger and by every logger
+     * derived from the same root.
+     * @public
+     * @memberof NestLogger
+     * @method setLevel
+     * @param {String} level - one of error, warn, info or debug
+     * @returns {NestLogger} - the logger instance so that calls can be chained
+     */
+    setLevel ( level ) {
+
+        if ( has( LOG_LEVELS, level ) ) {
+
+            this.settings.level = level;
+        }
+
+        return this;
+    }
+
+    /**
+     * Sets the function the records of the logger and of every logger derived
+     * from the same root are written to.
+     * @public
+     * @memberof NestLogger
+     * @method setSink
+     * @param {Function|Null} sink - the function called with each written record; null silences the logger
+     * @returns {NestLogger} - the logger instance so that calls can be chained
+     */
+    setSink ( sink ) {
+
+        this.settings.sink = isFunction(sink) ? sink : null;
+
+        return this;
+    }
+
+    /**
+     * Returns whether a record of the given level would be written, so that
+     * expensive fields are only gathered when they are needed.
+     * @public
+     * @memberof NestLogger
+     * @method isLevelEnabled
+     * @param {String} level - one of error, warn, info or debug
+     * @returns {Boolean}
+     */
+    isLevelEnabled ( level ) {
+
+        return !isNull(this.settings.sink)
+            && has( LOG_LEVELS, level )
+            && LOG_LEVELS[level] <= LOG_LEVELS[this.settings.level];
+    }
+
+    /**
+     * Writes a record to the sink if its level is enabled, with its secrets
+     * masked.
+     * @public
+     * @memberof NestLogger
+     * @method log
+     * @param {String} level - one of error, warn, info or debug
+     * @param {String} message - a description of what happened
+     * @param {Object} [fields] - the structured details of what happened ( e.g. path, statusCode )
+     * @returns {NestLogger} - the logger instance so that calls can be chained
+     */
+    log ( level, message, fields ) {
+
+        if ( !this.isLevelEnabled( level ) ) {
+
+            return this;
+        }
+
+        this.settings.sink(
+            assign(
+                {
+                    time: new Date().toISOString()
+                    , level: level
+                    , namespace: this.namespace
+                    , message: NestRedaction.redactString( String(message) )
+                }
+                , NestRedaction.redact( serializeFields( assign( {}, this.fields, fields ) ) )
+            )
+        );
+
+        return this;
+    }
+
+    /**
+     * Writes a record at the error level.
+     * @public
+     * @memberof NestLogger
+     * @method error
+     * @param {String} message - a description of what happened
+     * @param {Object} [fields] - the structured details of what happened
+     * @returns {NestLogger} - the logger instance so that calls can be chained
+     */
+    error ( message, fields ) {
+
+        return this.log( "error", message, fields );
+    }
+
+    /**
+     * Writes a record at the warn level.
+     * @public
+     * @memberof NestLogger
+     * @method warn
+     * @param {String} message - a description of what happened
+     * @param {Object} [fields] - the structured details of what happened
+     * @returns {NestLogger} - the logger instance so that calls can be chained
+     */
+    warn ( message, fields ) {
+
+        return this.log( "warn", message, fields );
+    }
+
+    /**
+     * Writes a record at the info level.
+     * @public
+     * @memberof NestLogger
+     * @method info
+     * @param {String} message - a description of what happened
+     * @param {Object} [fields] - the structured details of what happened
+     * @returns {NestLogger} - the logger instance so that calls can be chained
+     */
+    info ( message, fields ) {
+
+        return this.log( "info", message, fields );
+    }
+
+    /**
+     * Writes a record at the debug level.
+     * @public
+     * @memberof NestLogger
+     * @method debug
+     * @param {String} message - a description of what happened
+     * @param {Object} [fields] - the structured details of what happened
+     * @returns {NestLogger} - the logger instance so that calls can be chained
+     */
+    debug ( message, fields ) {
+
+        return this.log( "debug", message, fields );
+    }
+
+    /**
+     * Creates a sink which writes each record to the console method of its
+     * level, as a line of text followed by its fields.
+     * @public
+     * @static
+     * @memberof NestLogger
+     * @method createConsoleSink
+     * @returns {Function} - the sink
+     */
+    static createConsoleSink ( ) {
+
+        const consoleMethods = {
+            error: console.error
+            , warn: console.warn
+            , info: console.info
+            , debug: console.log
+        };
+
+        return ( record ) => {
+
+            const fields = {};
+
+            forEach(
+                record
+                , ( value, key ) => {
+
+                    if ( !includes( [ "time", "level", "namespace", "message" ], key ) ) {
+
+                        fields[key] = value;
+                    }
+                }
+            );
+
+            consoleMethods[record.level].call(
+                console
+                , [
+                    record.time
+                    , record.level.toUpperCase()
+                    , "[" + ( record.namespace || "nest" ) + "]"
+                    , record.message
+                ].join(" ")
+                , isEmpty(fields) ? "" : JSON.stringify(fields)
+            );
+        };
+    }
+
+    /**
+     * Creates a sink which writes each record as a line of JSON to the given
+     * writable stream ( e.g. a file opened with fs.createWriteStream ).
+     * @public
+     * @static
+     * @memberof NestLogger
+     * @method createStreamSink
+     * @param {stream.Writable} stream - the stream the records are written to
+     * @returns {Function} - the sink
+     */
+    static createStreamSink ( stream ) {
+
+        return ( record ) => stream.write( JSON.stringify(record) + "\n" );
+    }
+}
+
+NestLogger.LOG_LEVELS = LOG_LEVELS;
+
+/**
+ * A record written by a NestLogger; its fields are merged in next to the
+ * properties below.
+ * @typedef {Object} NestLogRecord
+ * @property {String} time - the time the record was written at, as an ISO 8601 string
+ * @property {String} level - one of error, warn, info or debug
+ * @property {String|Null} namespace - the namespace of the logger which wrote the record ( e.g. stream )
+ * @property {String} message - a description of what happened
+ */
+
+module.exports = NestLogger;
@@ -0,0 +1,187 @@
+'use strict';
+
+// IMPORTS: NODE.JS THIRD-PARTY
+const has = require('lodash').has;
+const includes = require('lodash').includes;
+const isArray = require('lodash').isArray;
+const isPlainObject = require('lodash').isPlainObject;
+const isString = require('lodash').isString;
+const forEach = require('lodash').forEach;
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * The fields which hold a secret wherever they appear, compared in lower
+ * case: the bearer header of the WWN API requests, the client secret and PIN
+ * of the OAUTH2 pin flow and the access token reported by the WWN API, e.g.
+ * as metadata.access_token of the account root.
+ */
+const SECRET_FIELD_NAMES = [
+    "authorization"
+    , "client_secret"
+    , "access_token"
+    , "refresh_token"
+    , "token"
+    , "pin"
+    , "pincode"
+];
+
+/**
+ * The secrets which can be embedded in a string, each with what it is
+ * replaced by. Covers bearer headers, url query and form encoded
+ * parameters, the token in the path of the revocation url and secret
+ * fields of JSON which has not been parsed.
+ */
+const SECRET_STRING_PATTERNS = [
+    {
+        pattern: /(Bearer\s+)[^\s"',;]+/gi
+        , replacement: "$1" + REDACTED
+    }
+    , {
+        pattern: /(^|[?&\s])(auth|access_token|refresh_token|client_secret|code|token)=[^&#\s"']*/gi
+        , replacement: "$1$2=" + REDACTED
+    }
+    , {
+        pattern: /(\/access_tokens\/)[^\/?#\s"']+/gi
+        , replacement: "$1" + REDACTED
+    }
+    , {
+        pattern: /("(?:access_token|refresh_token|client_secret|authorization|token)"\s*:\s*")[^"]*/gi
+        , replacement: "$1" + REDACTED
+    }
+];
+
+/**
+ * Returns whether the given field holds a secret. The PIN of the OAUTH2 pin
+ * flow is sent as the code field of the token request, which is only a
+ * secret next to the grant_type of that request.
+ * @function
+ * @name isSecretField
+ * @param {String} key - the name of the field
+ * @param {Object} container - the object holding the field
+ * @returns {Boolean}
+ */
+function isSecretField ( key, container ) {
+
+    const name = String(key).toLowerCase();
+
+    return includes( SECRET_FIELD_NAMES, name )
+        || ( name === "code" && has( container, "grant_type" ) );
+}
+
+/**
+ * Masks the secrets embedded in the given string.
+ * @function
+ * @name redactString
+ * @param {String} value
+ * @returns {String} - the string with each secret replaced by [REDACTED]
+ */
+function redactString ( value ) {
+
+    var redacted = value;
+
+    forEach(
+        SECRET_STRING_PATTERNS
+        , ( secretPattern ) => {
+
+            redacted = redacted.replace( secretPattern.pattern, secretPattern.replacement );
+        }
+    );
+
+    return redacted;
+}
+
+/**
+ * Returns a copy of the given value where every secret is masked: the
+ * values of secret fields are replaced and the secrets embedded in strings
+ * are masked, at any depth of plain objects and arrays. Other values are
+ * returned as they are.
+ * @function
+ * @name redact
+ * @param {*} value - the value to redact ( e.g. the fields of a log record )
+ * @returns {*} - the redacted copy
+ */
+function redact ( value ) {
+
+    return redactValue( value, [] );
+}
+
+/**
+ * Walks the given value for redact, keeping track of the objects being
+ * walked so that a circular reference is not followed.
+ * @function
+ * @name redactValue
+ * @param {*} value
+ * @param {Array<Object>} ancestors - the objects and arrays holding the value
+ * @returns {*} - the redacted copy
+ */
+function redactValue ( value, ancestors ) {
+
+    var redacted;
+
+    if ( isString(value) ) {
+
+        return redactString( value );
+    }
+
+    if ( !isArray(value) && !isPlainObject(value) ) {
+
+        return value;
+    }
+
+    if ( includes( ancestors, value ) ) {
+
+        return "[Circular]";
+    }
+
+    if ( isArray(value) ) {
+
+        return value.map(
+            ( item ) => redactValue( item, ancestors.concat( [ value ] ) )
+        );
+    }
+
+    redacted = {};
+
+    forEach(
+        value
+        , ( fieldValue, key ) => {
+
+            redacted[key] = isSecretField( key, value ) && fieldValue !== null && fieldValue !== undefined
+                ? REDACTED
+                : redactValue( fieldValue, ancestors.concat( [ value ] ) );
+        }
+    );
+
+    return redacted;
+}
+
+/**
+ * Returns a redacted snapshot of an HTTP response, holding its status code,
+ * headers and body, so that it can be exposed without the request it
+ * answered, whose headers carry the access token.
+ * @function
+ * @name redactResponse
+ * @param {Object|Null} response - the response from the WWN API
+ * @returns {Object|Null} - the redacted snapshot or null if there is no response
+ */
+function redactResponse ( response ) {
+
+    if ( !response ) {
+
+        return null;
+    }
+
+    return redact({
+        statusCode: response.statusCode
+        , headers: isPlainObject(response.headers) ? response.headers : {}
+        , body: response.body
+    });
+}
+
+module.exports = {
+    REDACTED
+    , redact
+    , redactString
+    , redactResponse
+};
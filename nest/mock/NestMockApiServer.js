@@ -0,0 +1,916 @@
+'use strict';
+
+// IMPORTS: NODE.JS CORE
+const EventEmitter = require('events').EventEmitter;
+const http = require('http');
+const url = require('url');
+const querystring = require('querystring');
+
+// IMPORTS: NODE.JS THIRD-PARTY
+const RSVP = require('rsvp');
+const cloneDeep = require('lodash').cloneDeep;
+const isUndefined = require('lodash').isUndefined;
+const isObject = require('lodash').isObject;
+const isArray = require('lodash').isArray;
+const isNull = require('lodash').isNull;
+const includes = require('lodash').includes;
+const forEach = require('lodash').forEach;
+const remove = require('lodash').remove;
+const assign = require('lodash').assign;
+const setWith = require('lodash').setWith;
+const unset = require('lodash').unset;
+const get = require('lodash').get;
+
+// IMPORTS: NEST RESOURCES
+const NestNetworkManagerUtils = require('../network/NestNetworkManagerUtils');
+const NETWORK_STREAM_EVENTS = require('../network/NestNetworkManagerContants').NETWORK_STREAM_EVENTS;
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_KEEP_ALIVE_INTERVAL = 30000;
+const DEFAULT_TOKEN_LIFETIME = 315360000;
+const OAUTH_ACCESS_TOKEN_PATH = "/oauth2/access_token";
+const OAUTH_ACCESS_TOKENS_PATH_PREFIX = "/oauth2/access_tokens/";
+const OAUTH_AUTHORIZATION_PATH = "/login/oauth2";
+const CONTROL_PATH_PREFIX = "/_mock/";
+
+const DEFAULT_STATE = {
+    devices: {
+        thermostats: {
+            "mock-thermostat-1": {
+                device_id: "mock-thermostat-1"
+                , structure_id: "mock-structure-1"
+                , name: "Hallway (Mock)"
+                , name_long: "Hallway Thermostat (Mock)"
+                , is_online: true
+                , can_cool: true
+                , can_heat: true
+                , temperature_scale: "F"
+                , hvac_mode: "heat"
+                , hvac_state: "heating"
+                , ambient_temperature_f: 68
+                , ambient_temperature_c: 20
+                , target_temperature_f: 70
+                , target_temperature_c: 21
+                , target_temperature_high_f: 75
+                , target_temperature_high_c: 24
+                , target_temperature_low_f: 65
+                , target_temperature_low_c: 18
+                , humidity: 40
+            }
+        }
+    }
+    , structures: {
+        "mock-structure-1": {
+            structure_id: "mock-structure-1"
+            , name: "Home (Mock)"
+            , away: "home"
+            , thermostats: [ "mock-thermostat-1" ]
+        }
+    }
+    , metadata: {
+        access_token: "mock-token"
+        , client_version: 1
+    }
+};
+
+/**
+ * Splits a data path into its segments.
+ * @function
+ * @name splitPath
+ * @param {String} path - the data path ( e.g. /devices/thermostats )
+ * @returns {Array<String>} - the path segments; empty for the root
+ */
+function splitPath ( path ) {
+
+    return NestNetworkManagerUtils.normalizeStreamScope( path )
+        .split("/")
+        .filter( ( segment ) => segment.length > 0 );
+}
+
+/**
+ * Returns whether the path given by the first segments contains ( or is ) the
+ * path given by the second segments.
+ * @function
+ * @name pathContains
+ * @param {Array<String>} outerSegments
+ * @param {Array<String>} innerSegments
+ * @returns {Boolean}
+ */
+function pathContains ( outerSegments, innerSegments ) {
+
+    if ( outerSegments.length > innerSegments.length ) {
+
+        return false;
+    }
+
+    for ( var i = 0; i < outerSegments.length; i++ ) {
+
+        if ( outerSegments[i] !== innerSegments[i] ) {
+
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * A local stand-in for the WWN API ( developer-api.nest.com ) and its OAuth
+ * endpoints ( home.nest.com, api.home.nest.com ) for development and tests
+ * without network access. Serves REST streams of any path of an in-memory
+ * account, accepts the PUT requests made by the network manager, issues
+ * access tokens for any PIN, revokes them on DELETE and can be scripted to
+ * answer with redirects and error status codes.
+ *
+ * Besides its public methods the server can be scripted over HTTP, which is
+ * handy when it runs in a separate process:
+ *  - POST /_mock/responses with a scripted response ( see scriptResponse )
+ *  - POST /_mock/revoke with an optional { token } to revoke a token
+ *  - PUT /_mock/state/<path> with a JSON body to change the account data
+ * @class NestMockApiServer
+ * @extends EventEmitter
+ * @property {Object} state - the account data served by the mock
+ * @property {Array<String>|Null} validTokens - the tokens accepted by the mock; null to accept any token
+ * @property {Array<String>|Null} validPinCodes - the PIN codes accepted by the OAuth endpoint; null to accept any PIN
+ * @property {Array<Object>} scriptedResponses - the pending scripted responses, in matching order
+ * @property {Array<Object>} subscribers - the open REST streams
+ */
+class NestMockApiServer extends EventEmitter {
+
+    /**
+     * @constructor
+     * @param {Object} [options]
+     * @param {Number} [options.port] - the port to listen on; 0 picks a free port
+     * @param {String} [options.host] - the host to listen on; defaults to localhost
+     * @param {Object} [options.state] - the account data to serve; defaults to one thermostat in one structure
+     * @param {Array<String>} [options.validTokens] - the tokens to accept; any token is accepted if omitted
+     * @param {Array<String>} [options.validPinCodes] - the PIN codes to accept; any PIN is accepted if omitted
+     * @param {String} [options.redirectHost] - when given, API requests made to any other host are redirected (307) to this host
+     * @param {Number} [options.chunkSize] - when given, stream events are written in chunks of this many characters
+     * @param {Number} [options.keepAliveInterval] - the interval (ms) between keep-alive events on the streams
+     */
+    constructor ( options ) {
+
+        super();
+
+        options = options || {};
+
+        this.port = isUndefined(options.port) ? 0 : Number(options.port);
+        this.host = options.host || "localhost";
+        this.state = cloneDeep( options.state || DEFAULT_STATE );
+        this.validTokens = options.validTokens || null;
+        this.validPinCodes = options.validPinCodes || null;
+        this.redirectHost = options.redirectHost || null;
+        this.chunkSize = options.chunkSize || 0;
+        this.keepAliveInterval = options.keepAliveInterval || DEFAULT_KEEP_ALIVE_INTERVAL;
+        this.scriptedResponses = [];
+        this.subscribers = [];
+        this.server = null;
+        this.keepAliveTimer = null;
+    }
+
+    /**
+     * Starts listening.
+     * @public
+     * @memberof NestMockApiServer
+     * @method listen
+     * @returns {RSVP.Promise} - a promise resolved with the root url of the mock once it listens
+     */
+    listen ( ) {
+
+        return new RSVP.Promise(
+            ( resolve, reject ) => {
+
+                this.server = http.createServer( this._handleRequest.bind(this) );
+                this.server.on('error', reject);
+                this.server.listen(
+                    this.port
+                    , this.host
+                    , () => {
+
+                        this.port = this.server.address().port;
+                        this.keepAliveTimer = setInterval(
+                            this._sendKeepAlives.bind(this)
+                            , this.keepAliveInterval
+                        );
+
+                        resolve( this.getUrl() );
+                    }
+                );
+            }
+        );
+    }
+
+    /**
+     * Ends all open streams and stops listening.
+     * @public
+     * @memberof NestMockApiServer
+     * @method close
+     * @returns {RSVP.Promise} - a promise resolved once the mock has stopped
+     */
+    close ( ) {
+
+        return new RSVP.Promise(
+            ( resolve ) => {
+
+                clearInterval( this.keepAliveTimer );
+                this.keepAliveTimer = null;
+
+                forEach(
+                    this.subscribers.slice()
+                    , ( subscriber ) => subscriber.response.end()
+                );
+                this.subscribers = [];
+
+                if ( isNull(this.server) ) {
+
+                    resolve();
+
+                    return ;
+                }
+
+                this.server.close( () => resolve() );
+                this.server = null;
+            }
+        );
+    }
+
+    /**
+     * Returns the root url of the mock, for use as the apiUrl of a network
+     * manager. The access token url is this url followed by /oauth2/access_token.
+     * @public
+     * @memberof NestMockApiServer
+     * @method getUrl
+     * @returns {String}
+     */
+    getUrl ( ) {
+
+        return [ "http://", this.host, ":", this.port ].join("");
+    }
+
+    /**
+     * Returns a copy of the account data at the given path.
+     * @public
+     * @memberof NestMockApiServer
+     * @method getState
+     * @param {String} [path] - the data path; the account root if omitted
+     * @returns {*} - the data at the path or null if there is none
+     */
+    getState ( path ) {
+
+        const segments = splitPath( path );
+        const value = segments.length === 0 ? this.state : get( this.state, segments );
+
+        return isUndefined(value) ? null : cloneDeep(value);
+    }
+
+    /**
+     * Replaces the account data at the given path and pushes the change to
+     * the open streams it is visible on.
+     * @public
+     * @memberof NestMockApiServer
+     * @method setState
+     * @param {String} path - the data path
+     * @param {*} value - the new data; null removes the path
+     * @returns {NestMockApiServer} - the mock instance so that calls can be chained
+     */
+    setState ( path, value ) {
+
+        const segments = splitPath( path );
+
+        if ( segments.length === 0 ) {
+
+            this.state = isObject(value) ? cloneDeep(value) : {};
+        } else if ( isNull(value) ) {
+
+            unset( this.state, segments );
+        } else {
+
+            setWith( this.state, segments, cloneDeep(value), Object );
+        }
+
+        this._publishChange( segments );
+
+        return this;
+    }
+
+    /**
+     * Scripts the response to upcoming requests, e.g. to simulate rate
+     * limiting or an outage. Scripted responses are matched in the order
+     * they were added and take precedence over all other handling.
+     * @public
+     * @memberof NestMockApiServer
+     * @method scriptResponse
+     * @param {Object} script
+     * @param {Number} script.statusCode - the status code to answer with ( e.g. 400, 401, 403, 429, 500, 503 )
+     * @param {String} [script.method] - only match requests with this method
+     * @param {String} [script.path] - only match requests for this path or a path below it
+     * @param {Number} [script.count] - the number of requests to answer; defaults to 1, Infinity answers all
+     * @param {Object} [script.headers] - the response headers ( e.g. { "Retry-After": "30" } )
+     * @param {*} [script.body] - the response body; objects are sent as JSON
+     * @returns {NestMockApiServer} - the mock instance so that calls can be chained
+     */
+    scriptResponse ( script ) {
+
+        this.scriptedResponses.push(
+            assign(
+                {
+                    count: 1
+                    , headers: {}
+                    , body: { error: "Scripted response" }
+                }
+                , script
+            )
+        );
+
+        return this;
+    }
+
+    /**
+     * Revokes the given token, or every token if none is given: open streams
+     * using it receive an auth_revoked event and are ended, and further
+     * requests made with it are refused.
+     * @public
+     * @memberof NestMockApiServer
+     * @method revokeToken
+     * @param {String} [token]
+     * @returns {NestMockApiServer} - the mock instance so that calls can be chained
+     */
+    revokeToken ( token ) {
+
+        const revokedSubscribers = remove(
+            this.subscribers
+            , ( subscriber ) => isUndefined(token) || subscriber.token === token
+        );
+
+        if ( isUndefined(token) ) {
+
+            this.validTokens = [];
+        } else if ( isArray(this.validTokens) ) {
+
+            remove( this.validTokens, ( validToken ) => validToken === token );
+        } else {
+
+            this.revokedTokens = ( this.revokedTokens || [] ).concat( token );
+        }
+
+        forEach(
+            revokedSubscribers
+            , ( subscriber ) => {
+
+                this._sendEvent( subscriber, NETWORK_STREAM_EVENTS.auth_revoked, subscriber.token )
+                    .then( () => subscriber.response.end() );
+            }
+        );
+
+        return this;
+    }
+
+    /**
+     * Routes every incoming request once its body has been received.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _handleRequest
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     */
+    _handleRequest ( request, response ) {
+
+        var chunks = [];
+
+        request.on( 'data', ( chunk ) => chunks.push(chunk) );
+        request.on(
+            'end'
+            , () => {
+
+                const parsedUrl = url.parse( request.url, true );
+                const body = Buffer.concat(chunks).toString();
+
+                this.emit(
+                    'request'
+                    , {
+                        method: request.method
+                        , path: parsedUrl.pathname
+                        , headers: request.headers
+                        , body: body
+                    }
+                );
+
+                if ( parsedUrl.pathname.indexOf(CONTROL_PATH_PREFIX) === 0 ) {
+
+                    this._handleControlRequest( request, response, parsedUrl, body );
+                } else if ( this._answerWithScriptedResponse( request, response, parsedUrl ) ) {
+
+                    return ;
+                } else if ( parsedUrl.pathname === OAUTH_ACCESS_TOKEN_PATH ) {
+
+                    this._handleAccessTokenRequest( request, response, body );
+                } else if ( parsedUrl.pathname.indexOf(OAUTH_ACCESS_TOKENS_PATH_PREFIX) === 0 ) {
+
+                    this._handleTokenRevocationRequest( request, response, parsedUrl );
+                } else if ( parsedUrl.pathname === OAUTH_AUTHORIZATION_PATH ) {
+
+                    this._handleAuthorizationPage( response );
+                } else {
+
+                    this._handleApiRequest( request, response, parsedUrl, body );
+                }
+            }
+        );
+    }
+
+    /**
+     * Answers the request with the first matching scripted response, if any.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _answerWithScriptedResponse
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     * @param {Object} parsedUrl
+     * @returns {Boolean} - whether the request has been answered
+     */
+    _answerWithScriptedResponse ( request, response, parsedUrl ) {
+
+        const requestSegments = splitPath( parsedUrl.pathname );
+        var script;
+
+        for ( var i = 0; i < this.scriptedResponses.length; i++ ) {
+
+            script = this.scriptedResponses[i];
+
+            if ( ( isUndefined(script.method) || script.method === request.method )
+                && ( isUndefined(script.path) || pathContains( splitPath(script.path), requestSegments ) ) ) {
+
+                script.count -= 1;
+
+                if ( script.count <= 0 ) {
+
+                    this.scriptedResponses.splice(i, 1);
+                }
+
+                this._sendJson( response, script.statusCode, script.body, script.headers );
+
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Handles the scripting endpoints of the mock.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _handleControlRequest
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     * @param {Object} parsedUrl
+     * @param {String} body
+     */
+    _handleControlRequest ( request, response, parsedUrl, body ) {
+
+        const command = parsedUrl.pathname.slice( CONTROL_PATH_PREFIX.length ).split("/")[0];
+        const parsedBody = body === "" ? {} : NestNetworkManagerUtils.parseStringIntoJsObject( body );
+
+        if ( parsedBody === false ) {
+
+            this._sendJson( response, 400, { error: "Control requests take a JSON body" } );
+
+            return ;
+        }
+
+        if ( command === "responses" && request.method === "POST" ) {
+
+            this.scriptResponse( parsedBody );
+        } else if ( command === "revoke" && request.method === "POST" ) {
+
+            this.revokeToken( parsedBody.token );
+        } else if ( command === "state" && request.method === "PUT" ) {
+
+            this.setState(
+                parsedUrl.pathname.slice( (CONTROL_PATH_PREFIX + command).length )
+                , parsedBody
+            );
+        } else {
+
+            this._sendJson( response, 404, { error: "Unknown control request" } );
+
+            return ;
+        }
+
+        this._sendJson( response, 200, { ok: true } );
+    }
+
+    /**
+     * Handles the access token request of the OAuth pin flow.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _handleAccessTokenRequest
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     * @param {String} body - the url encoded form body
+     */
+    _handleAccessTokenRequest ( request, response, body ) {
+
+        const form = querystring.parse( body );
+        const accessToken = [ "c.mock", Date.now().toString(36), Math.random().toString(36).slice(2) ].join(".");
+
+        if ( request.method !== "POST" || form.grant_type !== "authorization_code" ) {
+
+            this._sendJson( response, 400, { error: "oauth2_error", error_description: "invalid grant type" } );
+
+            return ;
+        }
+
+        if ( !form.client_id || !form.client_secret ) {
+
+            this._sendJson( response, 400, { error: "oauth2_error", error_description: "client not found" } );
+
+            return ;
+        }
+
+        if ( !form.code || ( isArray(this.validPinCodes) && !includes(this.validPinCodes, form.code) ) ) {
+
+            this._sendJson( response, 400, { error: "oauth2_error", error_description: "authorization code not found" } );
+
+            return ;
+        }
+
+        if ( isArray(this.validTokens) ) {
+
+            this.validTokens.push( accessToken );
+        }
+
+        this._sendJson(
+            response
+            , 200
+            , {
+                access_token: accessToken
+                , expires_in: DEFAULT_TOKEN_LIFETIME
+            }
+        );
+    }
+
+    /**
+     * Handles the revocation of an access token, answering with 204 once the
+     * token is revoked or 404 if the token is unknown or already revoked.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _handleTokenRevocationRequest
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     * @param {Object} parsedUrl
+     */
+    _handleTokenRevocationRequest ( request, response, parsedUrl ) {
+
+        const token = decodeURIComponent( parsedUrl.pathname.slice( OAUTH_ACCESS_TOKENS_PATH_PREFIX.length ) );
+
+        if ( request.method !== "DELETE" ) {
+
+            this._sendJson( response, 405, { error: "Access tokens can only be deleted" } );
+
+            return ;
+        }
+
+        if ( !this._isTokenValid( token ) ) {
+
+            this._sendJson( response, 404, { error: "oauth2_error", error_description: "access token not found" } );
+
+            return ;
+        }
+
+        this.revokeToken( token );
+        response.writeHead( 204 );
+        response.end();
+    }
+
+    /**
+     * Serves a page standing in for the Nest authorization page, showing a
+     * PIN which the access token endpoint of the mock accepts.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _handleAuthorizationPage
+     * @param {http.ServerResponse} response
+     */
+    _handleAuthorizationPage ( response ) {
+
+        const pinCode = isArray(this.validPinCodes) && this.validPinCodes.length > 0
+            ? this.validPinCodes[0]
+            : "MOCKPIN1";
+
+        response.writeHead( 200, { "Content-Type": "text/html" } );
+        response.end(
+            [
+                "<!DOCTYPE html><html><body>"
+                , "<h1>Mock Works with Nest authorization</h1>"
+                , "<p>Enter this PIN in the application:</p>"
+                , "<h2>", pinCode, "</h2>"
+                , "</body></html>"
+            ].join("")
+        );
+    }
+
+    /**
+     * Handles a request against the data API: redirects it if the mock is
+     * set up to, checks its token and serves a stream or a read ( GET ) or
+     * applies a write ( PUT ).
+     * @private
+     * @memberof NestMockApiServer
+     * @method _handleApiRequest
+     * @param {http.IncomingMessage} request
+     * @param {http.ServerResponse} response
+     * @param {Object} parsedUrl
+     * @param {String} body
+     */
+    _handleApiRequest ( request, response, parsedUrl, body ) {
+
+        const redirectTarget = [ this.redirectHost, this.port ].join(":");
+        const token = this._extractToken( request, parsedUrl );
+
+        if ( !isNull(this.redirectHost) && request.headers.host !== redirectTarget ) {
+
+            response.writeHead( 307, { "Location": [ "http://", redirectTarget, request.url ].join("") } );
+            response.end();
+
+            return ;
+        }
+
+        if ( !this._isTokenValid(token) ) {
+
+            this._sendJson( response, 401, { error: "unauthorized", type: "https://developer.nest.com/documentation/cloud/error-messages#auth-error", message: "unauthorized", instance: "mock" } );
+
+            return ;
+        }
+
+        if ( request.method === "GET" && /text\/event-stream/.test(request.headers.accept || "") ) {
+
+            this._openStream( response, parsedUrl.pathname, token );
+        } else if ( request.method === "GET" ) {
+
+            this._sendJson( response, 200, this.getState( parsedUrl.pathname ) );
+        } else if ( request.method === "PUT" ) {
+
+            this._handleWrite( response, parsedUrl.pathname, body );
+        } else {
+
+            this._sendJson( response, 405, { error: "Method not allowed" } );
+        }
+    }
+
+    /**
+     * Applies a PUT request: a JSON object body updates the given fields of
+     * the path, any other body replaces the value at the path.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _handleWrite
+     * @param {http.ServerResponse} response
+     * @param {String} path
+     * @param {String} body
+     */
+    _handleWrite ( response, path, body ) {
+
+        const segments = splitPath( path );
+        const parsedBody = NestNetworkManagerUtils.parseStringIntoJsObject( body );
+        // plain text bodies such as heat are not JSON, keep them as strings
+        const value = parsedBody === false ? body : parsedBody;
+        const parent = segments.length > 1 ? get( this.state, segments.slice(0, -1) ) : this.state;
+
+        if ( segments.length === 0 || !isObject(parent) ) {
+
+            this._sendJson( response, 404, { error: "Not Found", type: "https://developer.nest.com/documentation/cloud/error-messages#not-found", message: "Not Found", instance: "mock" } );
+
+            return ;
+        }
+
+        if ( isObject(value) && !isArray(value) ) {
+
+            forEach(
+                value
+                , ( fieldValue, fieldKey ) => {
+
+                    setWith( this.state, segments.concat(fieldKey), cloneDeep(fieldValue), Object );
+                }
+            );
+        } else {
+
+            setWith( this.state, segments, value, Object );
+        }
+
+        this._publishChange( segments );
+        this._sendJson( response, 200, value );
+    }
+
+    /**
+     * Opens a REST stream of the given path and sends the current data at
+     * the path as the first event.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _openStream
+     * @param {http.ServerResponse} response
+     * @param {String} path
+     * @param {String} token
+     */
+    _openStream ( response, path, token ) {
+
+        const subscriber = {
+            segments: splitPath( path )
+            , token: token
+            , response: response
+            , queue: RSVP.resolve()
+        };
+
+        response.writeHead(
+            200
+            , {
+                "Content-Type": "text/event-stream"
+                , "Cache-Control": "no-cache"
+                , "Connection": "keep-alive"
+            }
+        );
+
+        this.subscribers.push( subscriber );
+        response.on(
+            'close'
+            , () => remove( this.subscribers, ( candidate ) => candidate === subscriber )
+        );
+
+        this._sendEvent(
+            subscriber
+            , NETWORK_STREAM_EVENTS.put
+            , {
+                path: "/"
+                , data: this.getState( path )
+            }
+        );
+    }
+
+    /**
+     * Sends a put event for the change at the given path to every stream it
+     * is visible on.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _publishChange
+     * @param {Array<String>} changedSegments - the path of the change
+     */
+    _publishChange ( changedSegments ) {
+
+        forEach(
+            this.subscribers
+            , ( subscriber ) => {
+
+                if ( pathContains( subscriber.segments, changedSegments ) ) {
+
+                    this._sendEvent(
+                        subscriber
+                        , NETWORK_STREAM_EVENTS.put
+                        , {
+                            path: "/" + changedSegments.slice( subscriber.segments.length ).join("/")
+                            , data: this.getState( changedSegments.join("/") )
+                        }
+                    );
+                } else if ( pathContains( changedSegments, subscriber.segments ) ) {
+
+                    this._sendEvent(
+                        subscriber
+                        , NETWORK_STREAM_EVENTS.put
+                        , {
+                            path: "/"
+                            , data: this.getState( subscriber.segments.join("/") )
+                        }
+                    );
+                }
+            }
+        );
+    }
+
+    /**
+     * Sends a keep-alive event on every open stream.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _sendKeepAlives
+     */
+    _sendKeepAlives ( ) {
+
+        forEach(
+            this.subscribers
+            , ( subscriber ) => this._sendEvent( subscriber, NETWORK_STREAM_EVENTS.keep_alive, null )
+        );
+    }
+
+    /**
+     * Writes an event on the given stream; in several chunks if the mock is
+     * set up with a chunk size, so that clients have to reassemble it.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _sendEvent
+     * @param {Object} subscriber - the stream to write to
+     * @param {String} eventType
+     * @param {*} data - the data of the event, sent as JSON
+     * @returns {RSVP.Promise} - a promise resolved once the event has been written
+     */
+    _sendEvent ( subscriber, eventType, data ) {
+
+        const message = [ "event: ", eventType, "\ndata: ", JSON.stringify(data), "\n\n" ].join("");
+        const chunkSize = this.chunkSize > 0 ? this.chunkSize : message.length;
+        var chunks = [];
+
+        for ( var i = 0; i < message.length; i += chunkSize ) {
+
+            chunks.push( message.slice(i, i + chunkSize) );
+        }
+
+        forEach(
+            chunks
+            , ( chunk ) => {
+
+                subscriber.queue = subscriber.queue.then(
+                    () => new RSVP.Promise(
+                        ( resolve ) => subscriber.response.write( chunk, () => setImmediate(resolve) )
+                    )
+                );
+            }
+        );
+
+        return subscriber.queue;
+    }
+
+    /**
+     * Reads the access token of a request, given either as a bearer token or
+     * as the auth query parameter.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _extractToken
+     * @param {http.IncomingMessage} request
+     * @param {Object} parsedUrl
+     * @returns {String|Null}
+     */
+    _extractToken ( request, parsedUrl ) {
+
+        const authorization = request.headers.authorization || "";
+        const bearerMatch = /^Bearer (.+)$/.exec( authorization );
+
+        if ( bearerMatch ) {
+
+            return bearerMatch[1];
+        }
+
+        return parsedUrl.query.auth || null;
+    }
+
+    /**
+     * Returns whether the mock accepts the given token.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _isTokenValid
+     * @param {String|Null} token
+     * @returns {Boolean}
+     */
+    _isTokenValid ( token ) {
+
+        if ( !token || token === "null" || includes(this.revokedTokens, token) ) {
+
+            return false;
+        }
+
+        return !isArray(this.validTokens) || includes(this.validTokens, token);
+    }
+
+    /**
+     * Ends the response with the given status code and JSON body.
+     * @private
+     * @memberof NestMockApiServer
+     * @method _sendJson
+     * @param {http.ServerResponse} response
+     * @param {Number} statusCode
+     * @param {*} body - sent as JSON unless it is a string
+     * @param {Object} [headers]
+     */
+    _sendJson ( response, statusCode, body, headers ) {
+
+        response.writeHead(
+            statusCode
+            , assign( { "Content-Type": "application/json" }, headers )
+        );
+        response.end( typeof body === "string" ? body : JSON.stringify(body) );
+    }
+}
+
+module.exports = NestMockApiServer;
+
+if ( require.main === module ) {
+
+    const mockApiServer = new NestMockApiServer({
+        port: process.argv[2] || process.env.PORT || DEFAULT_PORT
+    });
+
+    mockApiServer.listen().then(
+        ( mockUrl ) => {
+
+            console.log("Mock WWN API listening on", mockUrl);
+            console.log("  apiUrl:", mockUrl);
+            console.log("  oauthUrl:", mockUrl + OAUTH_ACCESS_TOKEN_PATH);
+            console.log("  tokenRevocationUrl:", mockUrl + OAUTH_ACCESS_TOKENS_PATH_PREFIX.slice( 0, -1 ));
+            console.log("  authorizationUrl:", mockUrl + OAUTH_AUTHORIZATION_PATH);
+        }
+    );
+}
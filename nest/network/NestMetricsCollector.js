@@ -0,0 +1,314 @@
+'use strict';
+
+// IMPORTS: NODE.JS THIRD-PARTY
+const has = require('lodash').has;
+const assign = require('lodash').assign;
+const forEach = require('lodash').forEach;
+const cloneDeep = require('lodash').cloneDeep;
+const findIndex = require('lodash').findIndex;
+const includes = require('lodash').includes;
+
+// IMPORTS: NEST RESOURCES
+const NestNetworkManagerUtils = require('./NestNetworkManagerUtils');
+const NETWORK_STREAM_EVENTS = require('./NestNetworkManagerContants').NETWORK_STREAM_EVENTS;
+const PUT_LATENCY_HISTOGRAM_BOUNDS = require('./NestNetworkManagerContants').PUT_LATENCY_HISTOGRAM_BOUNDS;
+
+/**
+ * Collects the runtime metrics of a network manager: the health of its REST
+ * streams ( uptime, reconnects, updates, bytes and events reassembled from
+ * several chunks ), the status codes its requests were answered with and the
+ * latency of its writes, as a histogram per kind of resource written.
+ * @class NestMetricsCollector
+ * @property {Number} since - the time (ms since epoch) the metrics have been collected since
+ * @property {Object<Number>} openStreams - the time (ms since epoch) each open stream was established at, keyed by scope
+ * @property {Object} streams - the counters of the REST streams
+ * @property {Object<Number>} statusCodes - the number of responses per status code
+ * @property {Number} requestErrors - the number of requests which failed without a response
+ * @property {Object<Object>} putLatency - the latency histogram of the writes, keyed by kind of resource ( e.g. thermostats, structures )
+ */
+class NestMetricsCollector {
+
+    /** @constructor */
+    constructor ( ) {
+
+        this.reset();
+    }
+
+    /**
+     * Discards the collected metrics and starts collecting anew. Streams
+     * which are open are counted from now on.
+     * @public
+     * @memberof NestMetricsCollector
+     * @method reset
+     * @returns {NestMetricsCollector} - the collector instance so that calls can be chained
+     */
+    reset ( ) {
+
+        const now = Date.now();
+
+        this.since = now;
+        this.openStreams = this.openStreams || {};
+        forEach(
+            this.openStreams
+            , ( connectedAt, scope ) => {
+
+                this.openStreams[scope] = now;
+            }
+        );
+        this.streams = {
+            connections: 0
+            , reconnects: 0
+            , closedUptime: 0
+            , updates: 0
+            , bytes: 0
+            , reassemblies: 0
+        };
+        this.statusCodes = {};
+        this.requestErrors = 0;
+        this.putLatency = {};
+
+        return this;
+    }
+
+    /**
+     * Records that the REST stream of the given scope has been established.
+     * @public
+     * @memberof NestMetricsCollector
+     * @method recordStreamOpened
+     * @param {String} scope - the normalized path of the stream
+     * @returns {NestMetricsCollector} - the collector instance so that calls can be chained
+     */
+    recordStreamOpened ( scope ) {
+
+        // a connection which was replaced without being reported as closed
+        // only counts until now
+        this.recordStreamClosed( scope );
+
+        this.openStreams[scope] = Date.now();
+        this.streams.connections += 1;
+
+        return this;
+    }
+
+    /**
+     * Records that the REST stream of the given scope has ended, adding the
+     * time it was open for to the uptime. A stream which is not open is
+     * ignored.
+     * @public
+     * @memberof NestMetricsCollector
+     * @method recordStreamClosed
+     * @param {String} scope - the normalized path of the stream
+     * @returns {NestMetricsCollector} - the collector instance so that calls can be chained
+     */
+    recordStreamClosed ( scope ) {
+
+        if ( has( this.openStreams, scope ) ) {
+
+            this.streams.closedUptime += Date.now() - this.openStreams[scope];
+            delete this.openStreams[scope];
+        }
+
+        return this;
+    }
+
+    /**
+     * Records that a reconnect attempt of a REST stream has been scheduled.
+     * @public
+     * @memberof NestMetricsCollector
+     * @method recordStreamReconnect
+     * @returns {NestMetricsCollector} - the collector instance so that calls can be chained
+     */
+    recordStreamReconnect ( ) {
+
+        this.streams.reconnects += 1;
+
+        return this;
+    }
+
+    /**
+     * Records a chunk received on a REST stream.
+     * @public
+     * @memberof NestMetricsCollector
+     * @method recordStreamChunk
+     * @param {Buffer|String} chunk - the raw chunk
+     * @returns {NestMetricsCollector} - the collector instance so that calls can be chained
+     */
+    recordStreamChunk ( chunk ) {
+
+        this.streams.bytes += Buffer.isBuffer(chunk)
+            ? chunk.length
+            : Buffer.byteLength( String(chunk) );
+
+        return this;
+    }
+
+    /**
+     * Records an event decoded from a REST stream, counting data updates and
+     * events which had to be reassembled from several chunks.
+     * @public
+     * @memberof NestMetricsCollector
+     * @method recordStreamEvent
+     * @param {NestServiceStreamEvent} streamEvent - the decoded event
+     * @returns {NestMetricsCollector} - the collector instance so that calls can be chained
+     */
+    recordStreamEvent ( streamEvent ) {
+
+        if ( includes( [ NETWORK_STREAM_EVENTS.put, NETWORK_STREAM_EVENTS.patch ], streamEvent.event ) ) {
+
+            this.streams.updates += 1;
+        }
+
+        if ( streamEvent.reassembled === true ) {
+
+            this.streams.reassemblies += 1;
+        }
+
+        return this;
+    }
+
+    /**
+     * Records the outcome of a request: the status code of its response or,
+     * without a response, a failure.
+     * @public
+     * @memberof NestMetricsCollector
+     * @method recordResponse
+     * @param {Object} [response] - the response of the request, if any
+     * @returns {NestMetricsCollector} - the collector instance so that calls can be chained
+     */
+    recordResponse ( response ) {
+
+        if ( !response ) {
+
+            this.requestErrors += 1;
+
+            return this;
+        }
+
+        this.statusCodes[response.statusCode] = ( this.statusCodes[response.statusCode] || 0 ) + 1;
+
+        return this;
+    }
+
+    /**
+     * Records the latency of a write to the given path in the histogram of
+     * the kind of resource written.
+     * @public
+     * @memberof NestMetricsCollector
+     * @method recordPutLatency
+     * @param {String} path - the data path written ( e.g. /devices/thermostats/<id>/hvac_mode )
+     * @param {Number} latency - the time (ms) between sending the write and receiving its response
+     * @returns {NestMetricsCollector} - the collector instance so that calls can be chained
+     */
+    recordPutLatency ( path, latency ) {
+
+        const segments = NestNetworkManagerUtils.normalizeStreamScope( path ).split("/");
+        // e.g. [ "", "devices", "thermostats", <id>, ... ] or [ "", "structures", <id>, ... ]
+        const resource = ( segments[1] === "devices" ? segments[2] : segments[1] ) || "root";
+        var histogram;
+        var bucketIndex;
+
+        if ( !has( this.putLatency, resource ) ) {
+
+            this.putLatency[resource] = {
+                count: 0
+                , sum: 0
+                , min: null
+                , max: null
+                , buckets: PUT_LATENCY_HISTOGRAM_BOUNDS.map( () => 0 ).concat( [ 0 ] )
+            };
+        }
+
+        histogram = this.putLatency[resource];
+        bucketIndex = findIndex( PUT_LATENCY_HISTOGRAM_BOUNDS, ( bound ) => latency <= bound );
+
+        histogram.count += 1;
+        histogram.sum += latency;
+        histogram.min = histogram.min === null ? latency : Math.min( histogram.min, latency );
+        histogram.max = histogram.max === null ? latency : Math.max( histogram.max, latency );
+        // latencies above the last bound fall in the overflow bucket
+        histogram.buckets[bucketIndex === -1 ? PUT_LATENCY_HISTOGRAM_BOUNDS.length : bucketIndex] += 1;
+
+        return this;
+    }
+
+    /**
+     * Returns a snapshot of the collected metrics. The uptime includes the
+     * time the open streams have been open for so far.
+     * @public
+     * @memberof NestMetricsCollector
+     * @method getMetrics
+     * @returns {NestMetrics} - the snapshot
+     */
+    getMetrics ( ) {
+
+        const now = Date.now();
+        var uptime = this.streams.closedUptime;
+        var putLatency = {};
+
+        forEach(
+            this.openStreams
+            , ( connectedAt ) => {
+
+                uptime += now - connectedAt;
+            }
+        );
+
+        forEach(
+            this.putLatency
+            , ( histogram, resource ) => {
+
+                const buckets = {};
+
+                forEach(
+                    PUT_LATENCY_HISTOGRAM_BOUNDS
+                    , ( bound, index ) => {
+
+                        buckets[bound] = histogram.buckets[index];
+                    }
+                );
+                buckets["+Inf"] = histogram.buckets[PUT_LATENCY_HISTOGRAM_BOUNDS.length];
+
+                putLatency[resource] = assign(
+                    {}
+                    , histogram
+                    , {
+                        mean: histogram.sum / histogram.count
+                        , buckets: buckets
+                    }
+                );
+            }
+        );
+
+        return {
+            since: this.since
+            , collectedAt: now
+            , streams: {
+                open: Object.keys( this.openStreams ).length
+                , uptime: uptime
+                , connections: this.streams.connections
+                , reconnects: this.streams.reconnects
+                , updates: this.streams.updates
+                , bytes: this.streams.bytes
+                , reassemblies: this.streams.reassemblies
+            }
+            , requests: {
+                statusCodes: cloneDeep( this.statusCodes )
+                , errors: this.requestErrors
+            }
+            , putLatency: putLatency
+        };
+    }
+}
+
+/**
+ * A snapshot of the runtime metrics of a network manager.
+ *
+ * @typedef {Object} NestMetrics
+ * @property {Number} since - the time (ms since epoch) the metrics have been collected since
+ * @property {Number} collectedAt - the time (ms since epoch) the snapshot was taken at
+ * @property {Object} streams - open ( streams currently open ), uptime ( ms the streams have been open for in total ), connections, reconnects ( attempts scheduled ), updates ( put and patch events ), bytes ( received ) and reassemblies ( events split across several chunks )
+ * @property {Object} requests - statusCodes ( the number of responses keyed by status code ) and errors ( the number of requests which failed without a response )
+ * @property {Object<Object>} putLatency - per kind of resource written, the count, sum, mean, min and max (ms) of the write latencies and their buckets: the number of writes at most as slow as each bound (ms) and slower than the previous bound, +Inf holding the slowest
+ */
+
+module.exports = NestMetricsCollector;
@@ -4,21 +4,55 @@
 const EventEmitter = require('events').EventEmitter;
 
 // IMPORTS: NODE.JS THIRD-PARTY
-const request = require('request');
 const RSVP = require('rsvp');
 const forEach = require('lodash').forEach;
 const isNull = require('lodash').isNull;
 const isUndefined = require('lodash').isUndefined;
 const isString = require('lodash').isString;
 const cloneDeep = require('lodash').cloneDeep;
+const includes = require('lodash').includes;
+const assign = require('lodash').assign;
 const has = require('lodash').has;
+const isPlainObject = require('lodash').isPlainObject;
+const isEmpty = require('lodash').isEmpty;
+const findKey = require('lodash').findKey;
+const isNumber = require('lodash').isNumber;
+const isFinite = require('lodash').isFinite;
+const isFunction = require('lodash').isFunction;
 
 // IMPORTS: NEST RESOURCES
 const NetworkManagerErrors = require('./NetworkManagerErrors');
 const NestNetworkManagerUtils = require('./NestNetworkManagerUtils');
+const NestServiceStreamParser = require('./NestServiceStreamParser');
+const NestRequestTransport = require('./NestRequestTransport');
+const NestRequestScheduler = require('./NestRequestScheduler');
+const NestRedirectCache = require('./NestRedirectCache');
+const NestLogger = require('../NestLogger');
+const NestRedaction = require('../NestRedaction');
+const NestMetricsCollector = require('./NestMetricsCollector');
+const NestWriteQueue = require('./NestWriteQueue');
+const DEFAULT_API_URL = require('./NestNetworkManagerContants').DEFAULT_API_URL;
+const DEFAULT_OAUTH_URL = require('./NestNetworkManagerContants').DEFAULT_OAUTH_URL;
+const DEFAULT_TOKEN_REVOCATION_URL = require('./NestNetworkManagerContants').DEFAULT_TOKEN_REVOCATION_URL;
 const EMITABLE_EVENTS = require('./NestNetworkManagerContants').EMITABLE_EVENTS;
 const NETWORK_STREAM_EVENTS = require('./NestNetworkManagerContants').NETWORK_STREAM_EVENTS;
 const NETWORK_ERROR_EVENTS = require('./NestNetworkManagerContants').NETWORK_ERROR_EVENTS;
+const DEFAULT_STREAM_WATCHDOG_TIMEOUT = require('./NestNetworkManagerContants').DEFAULT_STREAM_WATCHDOG_TIMEOUT;
+const DEFAULT_STREAM_RECONNECT_POLICY = require('./NestNetworkManagerContants').DEFAULT_STREAM_RECONNECT_POLICY;
+const STREAM_RECONNECT_DENIED_STATUS_CODES = require('./NestNetworkManagerContants').STREAM_RECONNECT_DENIED_STATUS_CODES;
+const STREAM_RECONNECT_RATE_LIMITED_STATUS_CODE = require('./NestNetworkManagerContants').STREAM_RECONNECT_RATE_LIMITED_STATUS_CODE;
+const RATE_LIMIT_BLOCKED_BEHAVIOURS = require('./NestNetworkManagerContants').RATE_LIMIT_BLOCKED_BEHAVIOURS;
+const STRUCTURE_WRITABLE_FIELDS = require('./NestNetworkManagerContants').STRUCTURE_WRITABLE_FIELDS;
+const DEFAULT_REQUEST_RETRY_POLICY = require('./NestNetworkManagerContants').DEFAULT_REQUEST_RETRY_POLICY;
+const DEFAULT_REQUEST_TIMEOUT = require('./NestNetworkManagerContants').DEFAULT_REQUEST_TIMEOUT;
+const MAX_REQUEST_REDIRECTS = require('./NestNetworkManagerContants').MAX_REQUEST_REDIRECTS;
+const DEFAULT_TOKEN_EXPIRY_WARNING_PERIOD = require('./NestNetworkManagerContants').DEFAULT_TOKEN_EXPIRY_WARNING_PERIOD;
+const MAX_TIMER_DELAY = require('./NestNetworkManagerContants').MAX_TIMER_DELAY;
+const TOKEN_REVOCATION_SUCCESS_STATUS_CODES = require('./NestNetworkManagerContants').TOKEN_REVOCATION_SUCCESS_STATUS_CODES;
+const DEFAULT_METRICS_INTERVAL = require('./NestNetworkManagerContants').DEFAULT_METRICS_INTERVAL;
+const DEFAULT_WRITE_QUEUE_REPLAY_INTERVAL = require('./NestNetworkManagerContants').DEFAULT_WRITE_QUEUE_REPLAY_INTERVAL;
+const CONNECTION_ERROR_CODES = require('./NestNetworkManagerContants').CONNECTION_ERROR_CODES;
+const WRITE_REPLAY_OUTCOMES = require('./NestNetworkManagerContants').WRITE_REPLAY_OUTCOMES;
 
 /**
  * The network manager deals with the REST streaming event loop, handles
@@ -27,32 +61,87 @@ const NETWORK_ERROR_EVENTS = require('./NestNetworkManagerContants').NETWORK_ERR
  * @class NestNetworkManager
  * @extends EventEmitter
  * @property {String|Null} accessToken - the OAUTH2 token for use with WWN API
- * @property {Object|Null} serviceStream - the ongoing service REST stream; null if no stream is present
+ * @property {Number|Null} tokenIssuedAt - the time (ms since epoch) at which the token was issued, if known
+ * @property {Number|Null} tokenExpiresAt - the time (ms since epoch) at which the token expires, if known
+ * @property {Number} tokenExpiryWarningPeriod - the time (ms) ahead of the expiry of the token at which the tokenExpiring event is emitted
+ * @property {Boolean} tokenExpiryWarned - whether the tokenExpiring event has been emitted for the current token
+ * @property {Object|Null} tokenExpiryTimer - the timer of the next check of the expiry of the token
+ * @property {NestRequestTransport} transport - the HTTP transport all requests are made through
+ * @property {Object<NestServiceStreamContext>} serviceStreams - the state of each service REST stream keyed by the path it streams; a scope is present while its stream is open or waiting to be reconnected
+ * @property {Number} streamWatchdogTimeout - the time (ms) without any data on a REST stream after which it is considered stale; 0 disables the watchdog
  * @property {Boolean} isUnderRateLimitation - a boolean indicating whether or not the NestNetworkManager is being rate limited
+ * @property {NestRequestScheduler} requestScheduler - the scheduler pacing the writes of the instance according to the rate limits of the WWN API
  * @property {Boolean} autoReinitStream - a setable boolean used by the NestNetworkManager to determine whether or not to automatically attempt REST stream reconnect
- * @property {String} baseUrl - the root WWN API url
+ * @property {Object} streamReconnectPolicy - the backoff policy ( initialDelay, maxDelay, multiplier, jitter, maxAttempts ) used when automatically reconnecting the REST stream
+ * @property {Number} requestTimeout - the default time (ms) after which a call is abandoned; 0 disables the timeout
+ * @property {Object} requestRetryPolicy - the policy ( maxAttempts, initialDelay, maxDelay, multiplier, jitter, statusCodes, idempotentMethods ) used to retry requests failing with a transient error
+ * @property {String} apiUrl - the root WWN API url
+ * @property {String} oauthUrl - the url access tokens are requested from during the OAUTH2 pin flow
+ * @property {String} tokenRevocationUrl - the url of the collection access tokens are revoked from, see deauthorize
  * @property {Object} STREAM_EVENT_BODY_PROCESSING_MAP - mapping used for directing side-effects when specific events occur on the REST stream
  * @property {Object} STREAM_EVENT_EMISSION_OPERATION_MAP - mapping used for directing class event emissions when specific event occur on the REST stream
- * @property {Array} chunkedPutMessagesAwaitingCompletion - a buffer used to store incoming chunked PUT message from the REST stream
- * @property {Null|String} cachedRedirectUrl - the cached redirect url given by WWN service
- * @property {Function} boundStreamListener - a bound instance of the _determineStreamUpdateType function, created once to prevent eventEmitter leaks
+ * @property {NestRedirectCache} redirectCache - the hosts the WWN API has redirected requests to, keyed by path
+ * @property {NestLogger} logger - the logger the instance writes to
+ * @property {Object<NestLogger>} loggers - the loggers derived from logger for the network, stream, cache and auth namespaces
+ * @property {NestMetricsCollector} metricsCollector - the runtime metrics of the streams and requests of the instance
+ * @property {Number} metricsInterval - the time (ms) between two metrics events; 0 disables the event
+ * @property {Object|Null} metricsTimer - the timer of the metrics event, running while the event has listeners
+ * @property {NestWriteQueue|Null} writeQueue - the writes held while the WWN API cannot be reached; null while the offline write queue is disabled
+ * @property {Number} writeQueueReplayInterval - the time (ms) between two replays of the queued writes; 0 only replays them when a stream is established or on demand
+ * @property {Object|Null} writeQueueReplayTimer - the timer of the next replay of the queued writes
+ * @property {RSVP.Promise|Null} writeQueueReplay - the ongoing replay of the queued writes, if any
  * @property {Object<Function>} reservedErrorCodes - a object keyed by HTTP response code where each value is a reference to the instances handler function
+ * @property {Object<Function>} reservedWriteErrorCodes - the reservedErrorCodes used for writes, which retry rate limited requests when the scheduler queues them
  */
 class NestNetworkManager extends EventEmitter {
 
-    /** @constructor */
-    constructor ( ) {
+    /**
+     * @constructor
+     * @param {Object} [options]
+     * @param {NestRequestTransport} [options.transport] - the HTTP transport to make requests through; defaults to a request library backed transport
+     * @param {NestTransportSettings} [options.transportSettings] - the proxy, certificate authorities and client certificate of the default transport
+     * @param {Object} [options.writeQueue] - enables the offline write queue with the given options, see enableOfflineWriteQueue
+     * @param {String} [options.apiUrl] - the root WWN API url; defaults to the production API
+     * @param {String} [options.oauthUrl] - the access token url of the OAUTH2 pin flow; defaults to the production url
+     * @param {String} [options.tokenRevocationUrl] - the url access tokens are revoked from; defaults to the production url
+     * @param {Object} [options.rateLimitPolicy] - overrides of the default write scheduling policy, see setRateLimitPolicy
+     * @param {Number} [options.redirectCacheTtl] - the time (ms) a redirect of the WWN API is remembered for, see setRedirectCacheTtl
+     * @param {NestLogger} [options.logger] - the logger the instance writes to, see setLogger; silent by default
+     */
+    constructor ( options ) {
 
         super();
 
+        options = options || {};
+
         this.accessToken = null;
-        this.serviceStream = null;
+        this.tokenIssuedAt = null;
+        this.tokenExpiresAt = null;
+        this.tokenExpiryWarningPeriod = DEFAULT_TOKEN_EXPIRY_WARNING_PERIOD;
+        this.tokenExpiryWarned = false;
+        this.tokenExpiryTimer = null;
+        this.transport = options.transport || new NestRequestTransport( options.transportSettings );
+        this.serviceStreams = {};
+        this.streamWatchdogTimeout = DEFAULT_STREAM_WATCHDOG_TIMEOUT;
         this.isUnderRateLimitation = false;
+        this.requestScheduler = new NestRequestScheduler( options.rateLimitPolicy );
         this.autoReinitStream = false;
-        this.cachedRedirectUrl = null;
-        this.boundStreamListener = this._determineStreamUpdateType.bind(this);
-
-        this.apiUrl =  "https://developer-api.nest.com";
+        this.streamReconnectPolicy = assign( {}, DEFAULT_STREAM_RECONNECT_POLICY );
+        this.requestRetryPolicy = assign( {}, DEFAULT_REQUEST_RETRY_POLICY );
+        this.requestTimeout = DEFAULT_REQUEST_TIMEOUT;
+        this.redirectCache = new NestRedirectCache( options.redirectCacheTtl );
+        this.setLogger( options.logger || new NestLogger() );
+        this.metricsCollector = new NestMetricsCollector();
+        this.metricsInterval = DEFAULT_METRICS_INTERVAL;
+        this.metricsTimer = null;
+        this.writeQueue = null;
+        this.writeQueueReplayInterval = DEFAULT_WRITE_QUEUE_REPLAY_INTERVAL;
+        this.writeQueueReplayTimer = null;
+        this.writeQueueReplay = null;
+
+        this.apiUrl = options.apiUrl || DEFAULT_API_URL;
+        this.oauthUrl = options.oauthUrl || DEFAULT_OAUTH_URL;
+        this.tokenRevocationUrl = options.tokenRevocationUrl || DEFAULT_TOKEN_REVOCATION_URL;
 
         this.STREAM_EVENT_BODY_PROCESSING_MAP = {
             [NETWORK_STREAM_EVENTS.auth_revoked]: this._processAuthTokenRevokedEvent.bind(this)
@@ -60,7 +149,8 @@ class NestNetworkManager extends EventEmitter {
 
         this.STREAM_EVENT_EMISSION_OPERATION_MAP = {
             [NETWORK_STREAM_EVENTS.put]: this._emitServiceStreamDataUpdateEvent.bind(this)
-            // , [NETWORK_STREAM_EVENTS.auth_revoked]: this._emitServiceAuthRevokedEvent.bind(this)
+            , [NETWORK_STREAM_EVENTS.patch]: this._emitServiceStreamDataUpdateEvent.bind(this)
+            , [NETWORK_STREAM_EVENTS.auth_revoked]: this._emitServiceAuthRevokedEvent.bind(this)
         };
 
         this.reservedErrorCodes = {
@@ -74,760 +164,3652 @@ class NestNetworkManager extends EventEmitter {
             , 429: this._handleBlocked
         };
 
-        this.chunkedPutMessagesAwaitingCompletion = [];
+        this.reservedWriteErrorCodes = assign(
+            {}
+            , this.reservedErrorCodes
+            , { 429: this._handleBlockedWrite }
+        );
+
+        this.requestScheduler.on(
+            'limitationChange'
+            , this._handleRateLimitationChange.bind(this)
+        );
+
+        if ( isPlainObject(options.writeQueue) ) {
+
+            this.enableOfflineWriteQueue( options.writeQueue );
+        }
     }
 
     /**
      * Call with TRUE/FALSE to set whether or not the Network Manager
      * should attempt to automatically reinit the REST stream after it is closed.
+     * Turning the behaviour off cancels any pending reconnect attempt.
      * @public
      * @memberof NestNetworkManager
      * @method setAutoReinitStream
      * @param {Boolean} shouldAutoReinit
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
     setAutoReinitStream ( shouldAutoReinit ) {
 
         this.autoReinitStream = shouldAutoReinit;
+
+        if ( shouldAutoReinit !== true ) {
+
+            forEach(
+                this.serviceStreams
+                , ( streamContext ) => {
+
+                    if ( isNull(streamContext.request) ) {
+
+                        this._cancelServiceStreamReconnect( streamContext );
+                        this._removeServiceStreamContext( streamContext );
+                    }
+                }
+            );
+        }
+
+        return this;
     }
 
     /**
-     * Caches the redirect url that may be returned by a WWN API request.
+     * Overrides the backoff policy used when automatically reconnecting the
+     * REST stream. Keys which are not given keep their current value.
      * @public
      * @memberof NestNetworkManager
-     * @method _cacheRedirectUrl
-     * @param {String} redirectUrl
+     * @method setStreamReconnectPolicy
+     * @param {Object} policy
+     * @param {Number} [policy.initialDelay] - the delay (ms) before the first reconnect attempt
+     * @param {Number} [policy.maxDelay] - the maximum delay (ms) between reconnect attempts
+     * @param {Number} [policy.multiplier] - the factor the delay grows by after each attempt
+     * @param {Number} [policy.jitter] - the fraction ( 0 to 1 ) of the delay which may be randomly added or removed
+     * @param {Number} [policy.maxAttempts] - the number of consecutive attempts after which reconnection is given up; Infinity to never give up
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
-    _cacheRedirectUrl ( redirectUrl ) {
+    setStreamReconnectPolicy ( policy ) {
 
-        this.cachedRedirectUrl = [
-            "https://"
-            , redirectUrl.split("/")[2]
-        ].join("");
+        assign( this.streamReconnectPolicy, policy );
+
+        return this;
     }
 
     /**
-     * Sets the cachedRedirectUrl to null
+     * Overrides the policy used to retry requests ( REST stream setups and
+     * writes ) which fail with a transient error. Keys which are not given
+     * keep their current value.
      * @public
      * @memberof NestNetworkManager
-     * @method _wipeCachedRedirectUrl
+     * @method setRequestRetryPolicy
+     * @param {Object} policy
+     * @param {Number} [policy.maxAttempts] - the number of attempts made at a request, including the first; 1 disables retries
+     * @param {Number} [policy.initialDelay] - the delay (ms) before the first retry
+     * @param {Number} [policy.maxDelay] - the maximum delay (ms) between attempts
+     * @param {Number} [policy.multiplier] - the factor the delay grows by after each attempt
+     * @param {Number} [policy.jitter] - the fraction ( 0 to 1 ) of the delay which may be randomly added or removed
+     * @param {Array<Number>} [policy.statusCodes] - the response status codes considered transient
+     * @param {Array<String>} [policy.idempotentMethods] - the HTTP methods which are safe to repeat; requests made with any other method are never retried
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
-    _wipeCachedRedirectUrl ( ) {
+    setRequestRetryPolicy ( policy ) {
+
+        assign( this.requestRetryPolicy, policy );
 
-        this.cachedRedirectUrl = null;
+        return this;
     }
 
     /**
-     * Called when a deauth event is received on the REST stream; clears
-     * the token on the Network Manager instance
-     * @private
+     * Sets the default time after which a call is abandoned: the promise of
+     * the call is rejected with a RequestTimedOut error and its request is
+     * aborted. A write is timed from the call, including the time spent
+     * waiting for the rate limits and retries; a REST stream is timed until
+     * the service accepts it. Each call can override the default.
+     * @public
      * @memberof NestNetworkManager
-     * @method _processAuthTokenRevokedEvent
+     * @method setRequestTimeout
+     * @param {Number} timeout - the timeout (ms); 0 disables the timeout
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
-    _processAuthTokenRevokedEvent ( eventContainer ) {
+    setRequestTimeout ( timeout ) {
 
-        // remove the now invalid auth token
-        this.accessToken = null;
-        this.cachedRedirectUrl = null;
+        this.requestTimeout = timeout;
+
+        return this;
     }
 
     /**
-     * Called when a REST stream is ended. Sets the serviceStream to null
-     * on the network manager instance and emits the serviceStreamClosed event
-     * on the instance.
-     * @private
+     * Sets the time after which a REST stream which has received neither data
+     * nor a keep-alive is considered stale and torn down. The WWN API sends
+     * keep-alive events regularly, so a stream stays quiet for longer only when
+     * the connection has silently died. Call with 0 to disable the watchdog.
+     * @public
      * @memberof NestNetworkManager
-     * @method _cleanupServiceStream
+     * @method setStreamWatchdogTimeout
+     * @param {Number} timeout - the timeout in milliseconds
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
-    _cleanupServiceStream ( ) {
+    setStreamWatchdogTimeout ( timeout ) {
 
-        console.log("Cleaning up the service stream at", Date.now());
+        this.streamWatchdogTimeout = timeout;
 
-        this.serviceStream = null;
-        this._emitServiceStreamClosedEvent();
+        forEach(
+            this.serviceStreams
+            , ( streamContext ) => {
+
+                if ( !isNull(streamContext.request) ) {
+
+                    this._resetStreamWatchdog( streamContext );
+                }
+            }
+        );
+
+        return this;
     }
 
     /**
-     * Attempts to determine if a chunked queue has been completed by trying to
-     * parse the string-so-far. If successful will return the parsed object otherwise
-     * will return false.
-     * @private
+     * Sets the root WWN API url requests are made against, e.g. to point the
+     * instance at a local mock of the API. Any cached redirect is wiped since
+     * it belongs to the previous API.
+     * @public
      * @memberof NestNetworkManager
-     * @method _determineIfChunkedMessagesHaveCompleted
-     * @returns {Object|Boolean} - The parsed object if successful or FALSE if unsuccessful
+     * @method setApiUrl
+     * @param {String} apiUrl - the root url, without a trailing slash
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
-    _determineIfChunkedMessagesHaveCompleted ( ) {
+    setApiUrl ( apiUrl ) {
 
-        var parsedBody;
+        this.apiUrl = apiUrl;
+        this.redirectCache.clear();
 
-        try {
+        return this;
+    }
 
-            parsedBody = JSON.parse(
-                this.chunkedPutMessagesAwaitingCompletion.join("")
-            );
-        } catch ( e ) {
+    /**
+     * Sets the time a redirect of the WWN API is remembered for. The WWN API
+     * redirects requests to the host serving the account, so remembering the
+     * host saves a round trip on every request; forgetting it after a while
+     * lets the client follow the account when the service moves it.
+     * @public
+     * @memberof NestNetworkManager
+     * @method setRedirectCacheTtl
+     * @param {Number} ttl - the time (ms); 0 disables the cache
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    setRedirectCacheTtl ( ttl ) {
 
-            // still more chunked messages to capture
-            return false;
-        }
+        this.redirectCache.setTtl( ttl );
 
-        // all chunks received, return parsed body
-        return parsedBody;
+        return this;
     }
 
     /**
-     * Clears the chunked message queue on the instance by setting a new
-     * array on the property.
-     * @private
+     * Sets the logger the instance writes to. The records of the instance
+     * are written under the network, stream, cache and auth namespaces below
+     * the namespace of the given logger.
+     * @public
      * @memberof NestNetworkManager
-     * @method _wipeChunkedMessageQueue
+     * @method setLogger
+     * @param {NestLogger} logger
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
-    _wipeChunkedMessageQueue ( ) {
+    setLogger ( logger ) {
+
+        this.logger = logger;
+        this.loggers = {
+            network: logger.child( "network" )
+            , stream: logger.child( "stream" )
+            , cache: logger.child( "cache" )
+            , auth: logger.child( "auth" )
+        };
 
-        this.chunkedPutMessagesAwaitingCompletion = [];
+        return this;
     }
 
     /**
-     * Attempts to parse the string received in the REST stream update. May add
-     * to or call _wipeChunkedMessageQueue to reset the chunked message queue.
-     * May return an instance of NestServiceStreamEventContainer if a message is
-     * found requiring emission of a specific event by the network manager instance
-     * but will otherwise return false if the stream event does not mandate
-     * event emission.
-     * @private
+     * Returns a snapshot of the runtime metrics of the instance: the health
+     * of its REST streams, the status codes its requests were answered with
+     * and the latency of its writes.
+     * @public
      * @memberof NestNetworkManager
-     * @method _attemptToParseUpdate
-     * @param {String} body - the raw string received by streaming connection
-     * @returns {NestServiceStreamEventContainer|Boolean} - will return a filled instance of the event container if applicable otherwise FALSE
+     * @method getMetrics
+     * @returns {NestMetrics} - the metrics collected since the instance was created or the metrics were last reset
      */
-    _attemptToParseUpdate ( body ) {
+    getMetrics ( ) {
 
-        const checkForChunkedMessage = /event\: /;
-        const rawBodyExtraction = NestNetworkManagerUtils
-            .splitStringByNewlines( body );
+        return this.metricsCollector.getMetrics();
+    }
 
-        var eventContainer = {
-            event: "unknown"
-            , body: null
-        };
-        var processedEventBody = {};
+    /**
+     * Discards the collected runtime metrics and starts collecting anew.
+     * @public
+     * @memberof NestNetworkManager
+     * @method resetMetrics
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    resetMetrics ( ) {
 
-        if ( !checkForChunkedMessage.test( body ) ) {
-            // message is chunked and this could be middle or end
-            // add to the chunk queue
+        this.metricsCollector.reset();
 
-            this.chunkedPutMessagesAwaitingCompletion.push(body);
-            processedEventBody = this._determineIfChunkedMessagesHaveCompleted();
+        return this;
+    }
 
-            if ( processedEventBody === false ) {
+    /**
+     * Sets the time between two metrics events. The event is only emitted
+     * while it has listeners.
+     * @public
+     * @memberof NestNetworkManager
+     * @method setMetricsInterval
+     * @param {Number} interval - the time (ms); 0 disables the event
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    setMetricsInterval ( interval ) {
 
-                // still capturing chunks, return false
-                // to deny emission of stream update event
-                return false;
-            }
+        this.metricsInterval = interval;
+        this._scheduleMetricsEvent();
 
-            // return the full body after wiping the chunked queue
-            this._wipeChunkedMessageQueue();
-            eventContainer.event = "put";
-            eventContainer.body = processedEventBody;
+        return this;
+    }
 
-        } else {
+    /**
+     * Enables the offline write queue. Once enabled, a device, structure or
+     * ETA update which fails since the WWN API cannot be reached ( a
+     * connection error or a timeout ) is queued instead of being lost, and its
+     * promise is rejected with a WriteQueued error. Later updates are queued
+     * as well for as long as the queue holds writes, so that they never
+     * overtake the writes queued before them. The queued writes are replayed in order when
+     * a stream is established, every replay interval and on demand, see
+     * replayWriteQueue. Writes queued in the given store by an earlier run
+     * are loaded and replayed.
+     * @public
+     * @memberof NestNetworkManager
+     * @method enableOfflineWriteQueue
+     * @param {Object} [options]
+     * @param {Object} [options.store] - the store the queue is saved to so that it survives a restart, see NestWriteQueue.createFileStore; kept in memory by default
+     * @param {Number} [options.replayInterval] - the time (ms) between two replays while writes are queued; 0 disables the periodic replay
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    enableOfflineWriteQueue ( options ) {
 
-            eventContainer.event = NestNetworkManagerUtils
-                .extractStreamUpdateEventType( rawBodyExtraction );
+        options = options || {};
 
-            if ( eventContainer.event === "put" ) {
+        this._clearWriteQueueReplayTimer();
+        this.writeQueue = new NestWriteQueue( options.store );
 
-                processedEventBody = NestNetworkManagerUtils
-                    .extractAndParseStreamUpdateEventBody( rawBodyExtraction );
+        if ( !isUndefined(options.replayInterval) ) {
 
-                if ( processedEventBody.parsed === false ) {
-                    // message is the start of a chunked series; push into the chunk queue
-                    // but make it the first entry of the chunk queue since this is the
-                    // start of a new put update. Return false to stop event propagation
-                    // by parent class.
+            this.writeQueueReplayInterval = options.replayInterval;
+        }
 
-                    if ( this.chunkedPutMessagesAwaitingCompletion.length > 0 ) {
+        this._scheduleWriteQueueReplay();
 
-                        this._warnOfPotentialDataLossInOverwritingQueue();
-                    }
+        return this;
+    }
 
-                    this._wipeChunkedMessageQueue();
-                    this.chunkedPutMessagesAwaitingCompletion
-                        .push(processedEventBody.raw);
+    /**
+     * Disables the offline write queue; updates which fail are rejected as
+     * they are. Writes which are still queued are kept in the store of the
+     * queue, if any, until it is enabled again.
+     * @public
+     * @memberof NestNetworkManager
+     * @method disableOfflineWriteQueue
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    disableOfflineWriteQueue ( ) {
 
+        this._clearWriteQueueReplayTimer();
+        this.writeQueue = null;
 
-                    // immediately return false since this message is part
-                    // of a chunked queue
-                    return false;
-                }
+        return this;
+    }
 
-                eventContainer.body = processedEventBody.parsed;
-            }
-        }
+    /**
+     * Returns the writes held by the offline write queue.
+     * @public
+     * @memberof NestNetworkManager
+     * @method getQueuedWrites
+     * @returns {Array<NestQueuedWrite>} - the queued writes in the order they will be replayed; empty if the queue is disabled
+     */
+    getQueuedWrites ( ) {
 
-        return eventContainer;
+        return isNull(this.writeQueue) ? [] : this.writeQueue.getEntries();
     }
 
     /**
-     * Handler for the 'data' event of the node request library when streaming
-     * over HTTP (REST stream). Attempts to convert the given buffer to a string,
-     * if successful will attempt to process & parse the string, calling event
-     * emission on the instance if applicable to the content of the stream update.
-     * @private
+     * Discards the writes held by the offline write queue without making
+     * them.
+     * @public
      * @memberof NestNetworkManager
-     * @method _determineStreamUpdateType
-     * @param {Buffer} buffer - the buffer created by the Node Request library
-     * @listens {module:request~event:data}
+     * @method clearWriteQueue
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
-    _determineStreamUpdateType ( buffer ) {
+    clearWriteQueue ( ) {
 
-        const body = buffer.toString();
-        var eventContainer = {};
+        this._clearWriteQueueReplayTimer();
 
-        if ( !isString(body) ) {
-
-            console.warn(
-                "Received a stream update with an unsupported type:"
-                , ( typeof body )
-                , "- should be of type String"
-                , "\n Dump:"
-                , body
-            );
+        if ( !isNull(this.writeQueue) ) {
 
-            return ;
+            this.writeQueue.clear();
         }
 
-        eventContainer = this._attemptToParseUpdate( body );
+        return this;
+    }
 
-        if ( eventContainer === false ) {
-            // The parser has signaled that received information belongs to a
-            // chunked queue of messages, therefore delay propagating any event
-            // until the all chunks have been collected.
-            return ;
-        }
+    /**
+     * Replays the queued writes in order. A write which succeeds or is
+     * refused by the WWN API is removed from the queue and its outcome is
+     * emitted through the writeReplayed event. The replay stops, keeping the
+     * remaining writes, when the WWN API cannot be reached, rate limits the
+     * client, is unavailable or no token is set. A replay which is already
+     * ongoing is joined.
+     * @public
+     * @memberof NestNetworkManager
+     * @method replayWriteQueue
+     * @returns {RSVP.Promise} - a promise resolved with the NestWriteReplayOutcome of every write replayed, in order
+     * @fires NestNetworkManager#writeReplayed
+     */
+    replayWriteQueue ( ) {
 
-        if ( has(this.STREAM_EVENT_BODY_PROCESSING_MAP, eventContainer.event) ) {
+        const writeQueue = this.writeQueue;
 
-            eventContainer = this
-                .STREAM_EVENT_BODY_PROCESSING_MAP[eventContainer.event](
-                    eventContainer
-                );
+        if ( isNull(writeQueue) ) {
+
+            return RSVP.resolve( [] );
         }
 
-        if ( has(this.STREAM_EVENT_EMISSION_OPERATION_MAP, eventContainer.event) ) {
+        if ( isNull(this.writeQueueReplay) ) {
 
-            this.STREAM_EVENT_EMISSION_OPERATION_MAP[eventContainer.event](
-                eventContainer
+            this._clearWriteQueueReplayTimer();
+            this.writeQueueReplay = this._replayQueuedWrites( writeQueue, [] ).finally(
+                () => {
+
+                    this.writeQueueReplay = null;
+                    this._scheduleWriteQueueReplay();
+                }
             );
         }
-    }
-
-    /**
-     * Emits the authTokenRevoked event.
-     * @private
-     * @memberof NestNetworkManager
-     * @method _emitServiceAuthRevokedEvent
-     * @fires NestNetworkManager#authTokenRevoked
-     */
-    _emitServiceAuthRevokedEvent ( ) {
 
-        super.emit(
-            EMITABLE_EVENTS.authTokenRevoked
-        );
+        return this.writeQueueReplay;
     }
 
     /**
-     * Emits the serviceStreamDataUpdate event.
+     * Starts the timer of the metrics event if the event has listeners and
+     * stops it otherwise. The timer does not keep the process alive.
      * @private
      * @memberof NestNetworkManager
-     * @method _emitServiceStreamDataUpdateEvent
-     * @fires NestNetworkManager#serviceStreamDataUpdate
+     * @method _scheduleMetricsEvent
      */
-    _emitServiceStreamDataUpdateEvent ( dataUpdate ) {
+    _scheduleMetricsEvent ( ) {
 
-        super.emit(
-            EMITABLE_EVENTS.serviceStreamDataUpdate
-            , dataUpdate
-        );
-    }
+        clearInterval( this.metricsTimer );
+        this.metricsTimer = null;
 
-    /**
-     * Emits the serviceStreamClosed event.
-     * @private
-     * @memberof NestNetworkManager
-     * @method _emitServiceStreamClosedEvent
-     * @fires NestNetworkManager#serviceStreamClosed
-     */
-    _emitServiceStreamClosedEvent ( ) {
+        if ( this.metricsInterval <= 0 || this.listenerCount( EMITABLE_EVENTS.metrics ) === 0 ) {
 
-        super.emit(
-            EMITABLE_EVENTS.serviceStreamClosed
-            , this
-        );
-    }
+            return ;
+        }
 
-    /**
-     * Adds the given function as a listener to the authTokenRevoked event.
-     * @public
-     * @memberof NestNetworkManager
-     * @method addServiceAuthRevokedEventListener
-     * @param {Function} fnCallback - the function to be called when the event is emitted.
-     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
-     */
-    addServiceAuthRevokedEventListener ( fnCallback ) {
+        this.metricsTimer = setInterval( this._emitMetricsEvent.bind(this), this.metricsInterval );
 
-        super.on(
-            EMITABLE_EVENTS.authTokenRevoked
-            , fnCallback
-        );
+        if ( isFunction(this.metricsTimer.unref) ) {
 
-        return this;
+            this.metricsTimer.unref();
+        }
     }
 
     /**
-     * Adds the given function as a listener to the serviceStreamDataUpdate event.
+     * Sets the url access tokens are requested from during the OAUTH2 pin flow.
      * @public
      * @memberof NestNetworkManager
-     * @method addServiceStreamDataUpdateListener
-     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @method setOauthUrl
+     * @param {String} oauthUrl - the access token url
      * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
-    addServiceStreamDataUpdateListener ( fnCallback ) {
+    setOauthUrl ( oauthUrl ) {
 
-        super.on(
-            EMITABLE_EVENTS.serviceStreamDataUpdate
-            , fnCallback
-        );
+        this.oauthUrl = oauthUrl;
 
         return this;
     }
 
     /**
-     * Adds the given function as a listener to the serviceStreamClosed event.
+     * Sets the url of the collection access tokens are revoked from; a
+     * token is revoked with a DELETE request to its member of the collection.
      * @public
      * @memberof NestNetworkManager
-     * @method addServiceStreamClosedEventListener
-     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @method setTokenRevocationUrl
+     * @param {String} tokenRevocationUrl - the url, without a trailing slash
      * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
-    addServiceStreamClosedEventListener ( fnCallback ) {
+    setTokenRevocationUrl ( tokenRevocationUrl ) {
 
-        super.on(
-            EMITABLE_EVENTS.serviceStreamClosed
-            , fnCallback
-        );
+        this.tokenRevocationUrl = tokenRevocationUrl;
 
         return this;
     }
 
     /**
-     * Removes the given function as a listener to the authTokenRevoked event.
+     * Overrides the policy used to pace writes ( e.g. device updates ) so
+     * that they stay within the rate limits of the WWN API. Omitted keys keep
+     * their current value.
      * @public
      * @memberof NestNetworkManager
-     * @method removeServiceAuthRevokedListener
-     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @method setRateLimitPolicy
+     * @param {Object} policy
+     * @param {Number} [policy.bucketSize] - the number of writes which can be made in a burst
+     * @param {Number} [policy.refillInterval] - the time (ms) it takes to regain one write
+     * @param {String} [policy.whenBlocked] - queue or reject writes made while rate limited by the WWN API
+     * @param {Number} [policy.maxQueueSize] - the number of writes which can be pending at once; further writes are rejected
+     * @param {Number} [policy.defaultBlockDuration] - the time (ms) to hold off when rate limited without a Retry-After header
      * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
      */
-    removeServiceAuthRevokedListener ( fnCallback ) {
+    setRateLimitPolicy ( policy ) {
 
-        super.removeListener(
-            EMITABLE_EVENTS.authTokenRevoked
-            , fnCallback
-        );
+        this.requestScheduler.setPolicy( policy );
 
         return this;
     }
 
     /**
-     * Removes the given function as a listener to the serviceStreamDataUpdate event.
+     * Returns whether the instance is being rate limited by the WWN API and
+     * how many writes are waiting to be made.
      * @public
      * @memberof NestNetworkManager
-     * @method removeServiceStreamDataUpdateListener
-     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
-     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     * @method getRateLimitState
+     * @returns {Object} - isUnderRateLimitation, blockedUntil (ms since epoch or null), queueDepth and availableTokens
      */
-    removeServiceStreamDataUpdateListener ( fnCallback ) {
-
-        super.removeListener(
-            EMITABLE_EVENTS.serviceStreamDataUpdate
-            , fnCallback
-        );
+    getRateLimitState ( ) {
 
-        return this;
+        return this.requestScheduler.getState();
     }
 
     /**
-     * Removes the given function as a listener to the serviceStreamClosed event.
-     * @public
+     * Keeps the isUnderRateLimitation property in line with the request
+     * scheduler and emits the rateLimitationChanged event.
+     * @private
      * @memberof NestNetworkManager
-     * @method removeServiceStreamClosedEventListener
-     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
-     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     * @method _handleRateLimitationChange
+     * @param {Object} state - the state of the request scheduler
      */
-    removeServiceStreamClosedEventListener ( fnCallback ) {
+    _handleRateLimitationChange ( state ) {
 
-        super.removeListener(
-            EMITABLE_EVENTS.serviceStreamClosed
-            , fnCallback
-        );
-
-        return this;
+        this.isUnderRateLimitation = state.isUnderRateLimitation;
+        this._emitRateLimitationChangedEvent( state );
     }
 
     /**
-     * Sets the accessToken property on the network manager instance thereby
-     * allowing the network manager to make HTTP requests against the WWN API.
-     * @public
+     * Points the url of a request at the host the WWN API has redirected it
+     * to: the host the request itself was last redirected to or else the one
+     * cached for its path, if any. Records on the request context which
+     * cached redirect the request was sent through, which stays recorded
+     * while the request follows the redirects it receives.
+     * @private
      * @memberof NestNetworkManager
-     * @method setToken
-     * @param {String} accessToken - the WWN API OAUTH2 access token
-     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     * @method _applyCachedRedirect
+     * @param {Object} options - the request options, generated against the root WWN API url
+     * @param {NestRequestContext} requestContext - the state of the request
      */
-    setToken ( accessToken ) {
+    _applyCachedRedirect ( options, requestContext ) {
 
-        if ( !isString(accessToken) ) {
+        const path = options.url.slice( this.apiUrl.length );
+        var cachedRedirect;
 
-            throw new NetworkManagerErrors.TokenMustBeString;
+        requestContext.path = NestNetworkManagerUtils.normalizeStreamScope( path );
 
-            return this;
+        if ( !isNull(requestContext.redirectOrigin) ) {
+
+            // followed whether or not the cache keeps redirects
+            options.url = requestContext.redirectOrigin + path;
+
+            return ;
         }
 
-        this.accessToken = accessToken;
+        cachedRedirect = this.redirectCache.lookup( path );
+        requestContext.redirectPath = null;
 
-        return this;
+        if ( !isNull(cachedRedirect) ) {
+
+            options.url = cachedRedirect.origin + path;
+            requestContext.redirectPath = cachedRedirect.path;
+        }
     }
 
     /**
-     * Wipes the accessToken property on the network manager instance thereby
-     * disallowing further account-centric requests against the WWN API.
-     * @public
+     * Called when a request could not reach its host. If the host came from a
+     * redirect it may be down or the account may have moved, so the redirect
+     * is forgotten and the request is repeated against the root WWN API url,
+     * which will redirect it again if need be.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _fallBackFromRedirect
+     * @param {NestRequestContext} requestContext - the state of the failed request
+     * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
+     * @returns {Boolean} - whether the request has been repeated
+     */
+    _fallBackFromRedirect ( requestContext, repeatRequest ) {
+
+        if ( isNull(requestContext.redirectPath) && isNull(requestContext.redirectOrigin) ) {
+
+            return false;
+        }
+
+        this.loggers.cache.warn(
+            "The host of a redirect could not be reached, repeating the request against the root url."
+            , { path: requestContext.path, redirectPath: requestContext.redirectPath, apiUrl: this.apiUrl }
+        );
+
+        if ( !isNull(requestContext.redirectPath) ) {
+
+            this.redirectCache.remove( requestContext.redirectPath );
+        }
+
+        requestContext.redirectPath = null;
+        requestContext.redirectOrigin = null;
+        repeatRequest();
+
+        return true;
+    }
+
+    /**
+     * Called when a deauth event is received on the REST stream; clears
+     * the token on the Network Manager instance and closes the streams.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _processAuthTokenRevokedEvent
+     * @param {NestServiceStreamEventContainer} eventContainer - the auth_revoked event container
+     * @returns {NestServiceStreamEventContainer} - the event container with the revoked token it carries masked, so that the revocation is emitted
+     */
+    _processAuthTokenRevokedEvent ( eventContainer ) {
+
+        this._invalidateAuthToken();
+
+        return assign( {}, eventContainer, { body: NestRedaction.REDACTED } );
+    }
+
+    /**
+     * Removes the now invalid auth token along with the state tied to it and
+     * closes every REST stream, since none can outlive its token. Pending
+     * reconnect attempts are cancelled since they would be refused.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _invalidateAuthToken
+     */
+    _invalidateAuthToken ( ) {
+
+        this.removeToken();
+        this.redirectCache.clear();
+        this.requestScheduler.clear( new NetworkManagerErrors.AuthTokenRevoked() );
+
+        forEach(
+            this.serviceStreams
+            , ( streamContext ) => {
+
+                this._cancelServiceStreamReconnect( streamContext );
+                this._abortServiceStream(
+                    streamContext
+                    , new NetworkManagerErrors.AuthTokenRevoked()
+                );
+                this._removeServiceStreamContext( streamContext );
+            }
+        );
+    }
+
+    /**
+     * Creates the state kept for the REST stream of the given scope and
+     * registers it on the instance.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _createServiceStreamContext
+     * @param {String} scope - the normalized path the stream subscribes to
+     * @returns {NestServiceStreamContext} - the newly registered stream context
+     */
+    _createServiceStreamContext ( scope ) {
+
+        const streamContext = {
+            scope: scope
+            , request: null
+            , resolve: null
+            , reject: null
+            , parser: new NestServiceStreamParser()
+            , dataListener: null
+            , watchdogTimer: null
+            , lastActivity: null
+            , reconnectAttempts: 0
+            , reconnectTimer: null
+            , requestContext: null
+            , requestOptions: {}
+        };
+
+        streamContext.dataListener = this._determineStreamUpdateType.bind(
+            this
+            , streamContext
+        );
+        this.serviceStreams[scope] = streamContext;
+
+        return streamContext;
+    }
+
+    /**
+     * Unregisters the given stream context from the instance, if it is still
+     * the registered context of its scope.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _removeServiceStreamContext
+     * @param {NestServiceStreamContext} streamContext
+     */
+    _removeServiceStreamContext ( streamContext ) {
+
+        if ( this.serviceStreams[streamContext.scope] === streamContext ) {
+
+            delete this.serviceStreams[streamContext.scope];
+        }
+    }
+
+    /**
+     * Called when a REST stream is ended. Clears the stream on its context,
+     * emits the serviceStreamClosed event on the instance and schedules a
+     * reconnect attempt if applicable; otherwise the scope is forgotten.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _cleanupServiceStream
+     * @param {NestServiceStreamContext} streamContext - the context of the ended stream
+     * @param {Object} [response] - the response which ended the stream, if any
+     */
+    _cleanupServiceStream ( streamContext, response ) {
+
+        this.loggers.stream.debug(
+            "Cleaning up the service stream."
+            , { scope: streamContext.scope, statusCode: response ? response.statusCode : null }
+        );
+
+        this.metricsCollector.recordStreamClosed( streamContext.scope );
+
+        this._clearStreamWatchdog( streamContext );
+        this._cancelRequestRetry( streamContext.requestContext );
+        streamContext.request = null;
+        streamContext.resolve = null;
+        streamContext.reject = null;
+
+        this._emitServiceStreamClosedEvent( streamContext.scope );
+        this._scheduleServiceStreamReconnect( streamContext, response );
+
+        if ( isNull(streamContext.reconnectTimer) ) {
+
+            this._removeServiceStreamContext( streamContext );
+        }
+    }
+
+    /**
+     * Records activity on the REST stream and restarts its watchdog timer.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _resetStreamWatchdog
+     * @param {NestServiceStreamContext} streamContext
+     */
+    _resetStreamWatchdog ( streamContext ) {
+
+        this._clearStreamWatchdog( streamContext );
+        streamContext.lastActivity = Date.now();
+
+        if ( this.streamWatchdogTimeout > 0 ) {
+
+            streamContext.watchdogTimer = setTimeout(
+                this._handleStaleServiceStream.bind(this, streamContext)
+                , this.streamWatchdogTimeout
+            );
+        }
+    }
+
+    /**
+     * Stops the watchdog timer of the REST stream, if running.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _clearStreamWatchdog
+     * @param {NestServiceStreamContext} streamContext
+     */
+    _clearStreamWatchdog ( streamContext ) {
+
+        if ( !isNull(streamContext.watchdogTimer) ) {
+
+            clearTimeout( streamContext.watchdogTimer );
+            streamContext.watchdogTimer = null;
+        }
+    }
+
+    /**
+     * Called by the watchdog when nothing has been received on the REST stream
+     * for longer than the watchdog timeout. Emits the serviceStreamStale event
+     * and tears the stream down, which lets reconnection logic take over.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _handleStaleServiceStream
+     * @param {NestServiceStreamContext} streamContext
+     * @fires NestNetworkManager#serviceStreamStale
+     */
+    _handleStaleServiceStream ( streamContext ) {
+
+        streamContext.watchdogTimer = null;
+
+        if ( isNull(streamContext.request) ) {
+
+            return ;
+        }
+
+        this.loggers.stream.warn(
+            "Nothing has been received on the service stream, closing the stale stream."
+            , { scope: streamContext.scope, timeout: this.streamWatchdogTimeout }
+        );
+
+        this._emitServiceStreamStaleEvent( streamContext );
+        this._abortServiceStream(
+            streamContext
+            , new NetworkManagerErrors.ServiceStreamStale( streamContext.lastActivity )
+        );
+    }
+
+    /**
+     * Aborts the ongoing REST stream of the given context, settles its promise
+     * and cleans the stream up. The promise is rejected with the given error
+     * or resolved if no error is given.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _abortServiceStream
+     * @param {NestServiceStreamContext} streamContext
+     * @param {Error} [error] - the error the promise of the stream is rejected with
+     */
+    _abortServiceStream ( streamContext, error ) {
+
+        const serviceStream = streamContext.request;
+        const resolve = streamContext.resolve;
+        const reject = streamContext.reject;
+
+        if ( isNull(serviceStream) ) {
+
+            return ;
+        }
+
+        this._removeServiceStreamDataListener( streamContext );
+        serviceStream.abort();
+
+        if ( isUndefined(error) ) {
+
+            resolve();
+        } else {
+
+            reject(error);
+        }
+
+        this._cleanupServiceStream( streamContext );
+    }
+
+    /**
+     * Called when the service has accepted a REST stream request. Resets the
+     * reconnect backoff and emits the serviceStreamReconnected event if the
+     * stream was established by a reconnect attempt.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _handleServiceStreamEstablished
+     * @param {NestServiceStreamContext} streamContext
+     * @param {Object} response - the response which opened the stream
+     */
+    _handleServiceStreamEstablished ( streamContext, response ) {
+
+        this.metricsCollector.recordResponse( response );
+
+        if ( response.statusCode !== 200 ) {
+
+            return ;
+        }
+
+        this.metricsCollector.recordStreamOpened( streamContext.scope );
+
+        if ( !isNull(this.writeQueue) && this.writeQueue.size() > 0 ) {
+
+            // the WWN API can be reached again
+            this.replayWriteQueue();
+        }
+
+        // the timeout of a stream only covers its establishment
+        this._clearRequestTimeout( streamContext.requestContext );
+
+        if ( streamContext.reconnectAttempts > 0 ) {
+
+            this._emitServiceStreamReconnectedEvent( streamContext );
+        }
+
+        streamContext.reconnectAttempts = 0;
+    }
+
+    /**
+     * Schedules a reconnect attempt of the REST stream using the instances
+     * backoff policy, if autoReinitStream is set. Will not reconnect after
+     * authentication or authorization failures and will wait at least as long
+     * as requested by the service when rate limited. Emits the
+     * serviceStreamReconnecting event when an attempt is scheduled and the
+     * serviceStreamReconnectGaveUp event when reconnection is abandoned.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _scheduleServiceStreamReconnect
+     * @param {NestServiceStreamContext} streamContext - the context of the ended stream
+     * @param {Object} [response] - the response which ended the stream, if any
+     */
+    _scheduleServiceStreamReconnect ( streamContext, response ) {
+
+        const statusCode = response ? response.statusCode : null;
+        var retryAfter;
+        var delay;
+
+        if ( this.autoReinitStream !== true
+            || !isNull(streamContext.reconnectTimer)
+            || this.serviceStreams[streamContext.scope] !== streamContext ) {
+
+            // reconnection is off, already pending or the scope was closed
+            return ;
+        }
+
+        if ( includes(STREAM_RECONNECT_DENIED_STATUS_CODES, statusCode)
+            || isNull(this.accessToken) ) {
+
+            this.loggers.stream.warn(
+                "Not reconnecting the service stream since the WWN API has refused the credentials of this client."
+                , { scope: streamContext.scope, statusCode: statusCode }
+            );
+
+            this._emitServiceStreamReconnectGaveUpEvent( streamContext, statusCode );
+
+            return ;
+        }
+
+        if ( streamContext.reconnectAttempts >= this.streamReconnectPolicy.maxAttempts ) {
+
+            this.loggers.stream.warn(
+                "Not reconnecting the service stream since the reconnect attempts are exhausted."
+                , { scope: streamContext.scope, attempts: streamContext.reconnectAttempts }
+            );
+
+            this._emitServiceStreamReconnectGaveUpEvent( streamContext, statusCode );
+
+            return ;
+        }
+
+        streamContext.reconnectAttempts += 1;
+        delay = NestNetworkManagerUtils.calculateBackoffDelay(
+            streamContext.reconnectAttempts
+            , this.streamReconnectPolicy
+        );
+
+        if ( !isNull(streamContext.parser.reconnectionTime) ) {
+
+            // the service has asked for a minimum reconnection time
+            delay = Math.max( delay, streamContext.parser.reconnectionTime );
+        }
+
+        if ( statusCode === STREAM_RECONNECT_RATE_LIMITED_STATUS_CODE ) {
+
+            retryAfter = NestNetworkManagerUtils.parseRetryAfterHeader( response );
+
+            // without guidance from the service back off as far as allowed
+            delay = Math.max(
+                delay
+                , isNull(retryAfter) ? this.streamReconnectPolicy.maxDelay : retryAfter
+            );
+        }
+
+        this.metricsCollector.recordStreamReconnect();
+        this._emitServiceStreamReconnectingEvent( streamContext, delay, statusCode );
+
+        streamContext.reconnectTimer = setTimeout(
+            () => {
+
+                streamContext.reconnectTimer = null;
+                this._openServiceStream( streamContext ).catch(
+                    ( error ) => {
+
+                        this.loggers.stream.warn(
+                            "The reconnected service stream has ended with an error."
+                            , { scope: streamContext.scope, error: error }
+                        );
+                    }
+                );
+            }
+            , delay
+        );
+    }
+
+    /**
+     * Cancels the pending reconnect attempt of the REST stream, if any.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _cancelServiceStreamReconnect
+     * @param {NestServiceStreamContext} streamContext
+     */
+    _cancelServiceStreamReconnect ( streamContext ) {
+
+        if ( !isNull(streamContext.reconnectTimer) ) {
+
+            clearTimeout( streamContext.reconnectTimer );
+            streamContext.reconnectTimer = null;
+        }
+
+        streamContext.reconnectAttempts = 0;
+    }
+
+    /**
+     * Handler for the 'data' event of the node request library when streaming
+     * over HTTP (REST stream). Restarts the stale stream watchdog, feeds the
+     * given buffer to the stream parser of the stream and processes every
+     * event the parser has completed, calling event emission on the instance
+     * if applicable to the content of the stream update.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _determineStreamUpdateType
+     * @param {NestServiceStreamContext} streamContext - the context of the stream the buffer was received on
+     * @param {Buffer} buffer - the buffer created by the Node Request library
+     * @listens {module:request~event:data}
+     */
+    _determineStreamUpdateType ( streamContext, buffer ) {
+
+        this._resetStreamWatchdog( streamContext );
+        this.metricsCollector.recordStreamChunk( buffer );
+
+        forEach(
+            streamContext.parser.write( buffer )
+            , ( streamEvent ) => {
+
+                this.metricsCollector.recordStreamEvent( streamEvent );
+                this._processStreamEvent( streamContext, streamEvent );
+            }
+        );
+    }
+
+    /**
+     * Converts a decoded REST stream event into an event container and runs
+     * the body processing and emission operations mapped to its event type.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _processStreamEvent
+     * @param {NestServiceStreamContext} streamContext - the context of the stream the event was received on
+     * @param {NestServiceStreamEvent} streamEvent - an event decoded by the stream parser
+     */
+    _processStreamEvent ( streamContext, streamEvent ) {
+
+        var eventContainer = {
+            event: streamEvent.event
+            , id: streamEvent.id
+            , scope: streamContext.scope
+            , body: NestNetworkManagerUtils.parseStringIntoJsObject( streamEvent.data )
+        };
+
+        if ( eventContainer.body === false ) {
+
+            this.loggers.stream.warn(
+                "Received a stream update whose data could not be parsed as JSON."
+                , { scope: streamContext.scope, event: eventContainer.event, length: String(streamEvent.data).length }
+            );
+
+            return ;
+        }
+
+        if ( has(this.STREAM_EVENT_BODY_PROCESSING_MAP, eventContainer.event) ) {
+
+            eventContainer = this
+                .STREAM_EVENT_BODY_PROCESSING_MAP[eventContainer.event](
+                    eventContainer
+                );
+        }
+
+        if ( has(this.STREAM_EVENT_EMISSION_OPERATION_MAP, eventContainer.event) ) {
+
+            this.STREAM_EVENT_EMISSION_OPERATION_MAP[eventContainer.event](
+                eventContainer
+            );
+        }
+    }
+
+    /**
+     * Emits the authTokenRevoked event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitServiceAuthRevokedEvent
+     * @param {NestServiceStreamEventContainer|Object} revocation - the auth_revoked stream event or the response which revealed the revocation
+     * @fires NestNetworkManager#authTokenRevoked
+     */
+    _emitServiceAuthRevokedEvent ( revocation ) {
+
+        super.emit(
+            EMITABLE_EVENTS.authTokenRevoked
+            , revocation
+        );
+    }
+
+    /**
+     * Emits the serviceStreamDataUpdate event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitServiceStreamDataUpdateEvent
+     * @fires NestNetworkManager#serviceStreamDataUpdate
+     */
+    _emitServiceStreamDataUpdateEvent ( dataUpdate ) {
+
+        super.emit(
+            EMITABLE_EVENTS.serviceStreamDataUpdate
+            , dataUpdate
+        );
+    }
+
+    /**
+     * Emits the serviceStreamClosed event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitServiceStreamClosedEvent
+     * @param {String} scope - the path of the closed stream
+     * @fires NestNetworkManager#serviceStreamClosed
+     */
+    _emitServiceStreamClosedEvent ( scope ) {
+
+        super.emit(
+            EMITABLE_EVENTS.serviceStreamClosed
+            , this
+            , scope
+        );
+    }
+
+    /**
+     * Emits the serviceStreamStale event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitServiceStreamStaleEvent
+     * @param {NestServiceStreamContext} streamContext - the context of the stale stream
+     * @fires NestNetworkManager#serviceStreamStale
+     */
+    _emitServiceStreamStaleEvent ( streamContext ) {
+
+        super.emit(
+            EMITABLE_EVENTS.serviceStreamStale
+            , {
+                scope: streamContext.scope
+                , lastActivity: streamContext.lastActivity
+                , timeout: this.streamWatchdogTimeout
+            }
+        );
+    }
+
+    /**
+     * Emits the serviceStreamReconnecting event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitServiceStreamReconnectingEvent
+     * @param {NestServiceStreamContext} streamContext - the context of the stream to reconnect
+     * @param {Number} delay - the delay (ms) before the attempt is made
+     * @param {Number|Null} statusCode - the status code which ended the previous stream, if any
+     * @fires NestNetworkManager#serviceStreamReconnecting
+     */
+    _emitServiceStreamReconnectingEvent ( streamContext, delay, statusCode ) {
+
+        super.emit(
+            EMITABLE_EVENTS.serviceStreamReconnecting
+            , {
+                scope: streamContext.scope
+                , attempt: streamContext.reconnectAttempts
+                , delay: delay
+                , statusCode: statusCode
+            }
+        );
+    }
+
+    /**
+     * Emits the serviceStreamReconnected event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitServiceStreamReconnectedEvent
+     * @param {NestServiceStreamContext} streamContext - the context of the reconnected stream
+     * @fires NestNetworkManager#serviceStreamReconnected
+     */
+    _emitServiceStreamReconnectedEvent ( streamContext ) {
+
+        super.emit(
+            EMITABLE_EVENTS.serviceStreamReconnected
+            , {
+                scope: streamContext.scope
+                , attempts: streamContext.reconnectAttempts
+            }
+        );
+    }
+
+    /**
+     * Emits the serviceStreamReconnectGaveUp event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitServiceStreamReconnectGaveUpEvent
+     * @param {NestServiceStreamContext} streamContext - the context of the abandoned stream
+     * @param {Number|Null} statusCode - the status code which ended the last stream, if any
+     * @fires NestNetworkManager#serviceStreamReconnectGaveUp
+     */
+    _emitServiceStreamReconnectGaveUpEvent ( streamContext, statusCode ) {
+
+        super.emit(
+            EMITABLE_EVENTS.serviceStreamReconnectGaveUp
+            , {
+                scope: streamContext.scope
+                , attempts: streamContext.reconnectAttempts
+                , statusCode: statusCode
+            }
+        );
+    }
+
+    /**
+     * Emits the rateLimitationChanged event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitRateLimitationChangedEvent
+     * @param {Object} state - the state of the request scheduler
+     * @fires NestNetworkManager#rateLimitationChanged
+     */
+    _emitRateLimitationChangedEvent ( state ) {
+
+        super.emit(
+            EMITABLE_EVENTS.rateLimitationChanged
+            , state
+        );
+    }
+
+    /**
+     * Emits the requestRetry event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitRequestRetryEvent
+     * @param {NestRequestContext} requestContext - the state of the request being retried
+     * @param {Number} delay - the delay (ms) before the attempt
+     * @param {Number} statusCode - the status code of the failed attempt
+     * @fires NestNetworkManager#requestRetry
+     */
+    _emitRequestRetryEvent ( requestContext, delay, statusCode ) {
+
+        super.emit(
+            EMITABLE_EVENTS.requestRetry
+            , {
+                method: requestContext.method
+                , url: requestContext.url
+                , attempt: requestContext.attempts + 1
+                , maxAttempts: this.requestRetryPolicy.maxAttempts
+                , delay: delay
+                , statusCode: statusCode
+            }
+        );
+    }
+
+    /**
+     * Emits the tokenExpiring event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitTokenExpiringEvent
+     * @fires NestNetworkManager#tokenExpiring
+     */
+    _emitTokenExpiringEvent ( ) {
+
+        super.emit(
+            EMITABLE_EVENTS.tokenExpiring
+            , {
+                issuedAt: this.tokenIssuedAt
+                , expiresAt: this.tokenExpiresAt
+                , remaining: Math.max( this.tokenExpiresAt - Date.now(), 0 )
+            }
+        );
+    }
+
+    /**
+     * Emits the tokenExpired event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitTokenExpiredEvent
+     * @fires NestNetworkManager#tokenExpired
+     */
+    _emitTokenExpiredEvent ( ) {
+
+        super.emit(
+            EMITABLE_EVENTS.tokenExpired
+            , {
+                issuedAt: this.tokenIssuedAt
+                , expiresAt: this.tokenExpiresAt
+            }
+        );
+    }
+
+    /**
+     * Emits the metrics event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitMetricsEvent
+     * @fires NestNetworkManager#metrics
+     */
+    _emitMetricsEvent ( ) {
+
+        super.emit(
+            EMITABLE_EVENTS.metrics
+            , this.getMetrics()
+        );
+    }
+
+    /**
+     * Emits the writeQueued event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitWriteQueuedEvent
+     * @param {NestQueuedWrite} entry - the entry holding the queued write
+     * @param {Error|Null} cause - the error the write failed with; null if it was queued behind earlier writes
+     * @fires NestNetworkManager#writeQueued
+     */
+    _emitWriteQueuedEvent ( entry, cause ) {
+
+        super.emit(
+            EMITABLE_EVENTS.writeQueued
+            , {
+                entry: entry
+                , error: cause
+            }
+        );
+    }
+
+    /**
+     * Emits the writeReplayed event.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _emitWriteReplayedEvent
+     * @param {NestWriteReplayOutcome} outcome - the outcome of the replayed write
+     * @fires NestNetworkManager#writeReplayed
+     */
+    _emitWriteReplayedEvent ( outcome ) {
+
+        super.emit(
+            EMITABLE_EVENTS.writeReplayed
+            , outcome
+        );
+    }
+
+    /**
+     * Adds the given function as a listener to the authTokenRevoked event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addServiceAuthRevokedEventListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addServiceAuthRevokedEventListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.authTokenRevoked
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the serviceStreamDataUpdate event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addServiceStreamDataUpdateListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addServiceStreamDataUpdateListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.serviceStreamDataUpdate
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the serviceStreamClosed event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addServiceStreamClosedEventListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addServiceStreamClosedEventListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.serviceStreamClosed
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the authTokenRevoked event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeServiceAuthRevokedListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeServiceAuthRevokedListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.authTokenRevoked
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the serviceStreamDataUpdate event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeServiceStreamDataUpdateListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeServiceStreamDataUpdateListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.serviceStreamDataUpdate
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the serviceStreamClosed event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeServiceStreamClosedEventListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeServiceStreamClosedEventListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.serviceStreamClosed
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the serviceStreamStale event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addServiceStreamStaleListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addServiceStreamStaleListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.serviceStreamStale
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the serviceStreamStale event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeServiceStreamStaleListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeServiceStreamStaleListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.serviceStreamStale
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the serviceStreamReconnecting event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addServiceStreamReconnectingListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addServiceStreamReconnectingListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.serviceStreamReconnecting
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the serviceStreamReconnecting event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeServiceStreamReconnectingListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeServiceStreamReconnectingListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.serviceStreamReconnecting
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the serviceStreamReconnected event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addServiceStreamReconnectedListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addServiceStreamReconnectedListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.serviceStreamReconnected
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the serviceStreamReconnected event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeServiceStreamReconnectedListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeServiceStreamReconnectedListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.serviceStreamReconnected
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the serviceStreamReconnectGaveUp event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addServiceStreamReconnectGaveUpListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addServiceStreamReconnectGaveUpListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.serviceStreamReconnectGaveUp
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the serviceStreamReconnectGaveUp event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeServiceStreamReconnectGaveUpListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeServiceStreamReconnectGaveUpListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.serviceStreamReconnectGaveUp
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the rateLimitationChanged event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addRateLimitationChangedListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addRateLimitationChangedListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.rateLimitationChanged
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the rateLimitationChanged event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeRateLimitationChangedListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeRateLimitationChangedListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.rateLimitationChanged
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the requestRetry event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addRequestRetryListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addRequestRetryListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.requestRetry
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the requestRetry event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeRequestRetryListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeRequestRetryListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.requestRetry
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the tokenExpiring event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addTokenExpiringListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addTokenExpiringListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.tokenExpiring
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the tokenExpiring event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeTokenExpiringListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeTokenExpiringListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.tokenExpiring
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the tokenExpired event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addTokenExpiredListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addTokenExpiredListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.tokenExpired
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the tokenExpired event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeTokenExpiredListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeTokenExpiredListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.tokenExpired
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the metrics event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addMetricsListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addMetricsListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.metrics
+            , fnCallback
+        );
+        this._scheduleMetricsEvent();
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the metrics event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeMetricsListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeMetricsListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.metrics
+            , fnCallback
+        );
+        this._scheduleMetricsEvent();
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the writeQueued event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addWriteQueuedListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addWriteQueuedListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.writeQueued
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the writeQueued event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeWriteQueuedListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeWriteQueuedListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.writeQueued
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Adds the given function as a listener to the writeReplayed event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method addWriteReplayedListener
+     * @param {Function} fnCallback - the function to be called when the event is emitted.
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    addWriteReplayedListener ( fnCallback ) {
+
+        super.on(
+            EMITABLE_EVENTS.writeReplayed
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Removes the given function as a listener to the writeReplayed event.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeWriteReplayedListener
+     * @param {Function} fnCallback - the function to be removed from the event emission callback chain
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeWriteReplayedListener ( fnCallback ) {
+
+        super.removeListener(
+            EMITABLE_EVENTS.writeReplayed
+            , fnCallback
+        );
+
+        return this;
+    }
+
+    /**
+     * Sets the accessToken property on the network manager instance thereby
+     * allowing the network manager to make HTTP requests against the WWN API.
+     * Takes either the bare token or the credential resolved by doOauth, in
+     * which case the expiry of the token is tracked: the tokenExpiring event
+     * is emitted a warning period ahead of the expiry and the tokenExpired
+     * event once the token has expired.
+     * @public
+     * @memberof NestNetworkManager
+     * @method setToken
+     * @param {String|NestCredential} accessToken - the WWN API OAUTH2 access token or a credential holding it
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    setToken ( accessToken ) {
+
+        const credential = isPlainObject(accessToken) ? accessToken : { token: accessToken };
+
+        if ( !isString(credential.token) ) {
+
+            throw new NetworkManagerErrors.TokenMustBeString;
+
+            return this;
+        }
+
+        this.accessToken = credential.token;
+        this.tokenIssuedAt = isFinite(credential.issuedAt) ? credential.issuedAt : null;
+        this.tokenExpiresAt = isFinite(credential.expiresAt) ? credential.expiresAt : null;
+        this.tokenExpiryWarned = false;
+        this._checkTokenExpiry();
+
+        return this;
+    }
+
+    /**
+     * Returns the time at which the token of the instance expires.
+     * @public
+     * @memberof NestNetworkManager
+     * @method getTokenExpiry
+     * @returns {Number|Null} - the time (ms since epoch) or null if no token is set or its expiry is unknown
+     */
+    getTokenExpiry ( ) {
+
+        return this.tokenExpiresAt;
+    }
+
+    /**
+     * Sets how long ahead of the expiry of the token the tokenExpiring event
+     * is emitted, leaving time to renew the token through the OAuth flow.
+     * @public
+     * @memberof NestNetworkManager
+     * @method setTokenExpiryWarningPeriod
+     * @param {Number} period - the time (ms) ahead of the expiry
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    setTokenExpiryWarningPeriod ( period ) {
+
+        this.tokenExpiryWarningPeriod = period;
+        this._checkTokenExpiry();
+
+        return this;
+    }
+
+    /**
+     * Emits the tokenExpiring or tokenExpired event when due and schedules
+     * the next check. Timers cannot be set further ahead than MAX_TIMER_DELAY
+     * ( about 24.8 days ) while tokens last for years, so a far away check is
+     * reached through intermediate checks.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _checkTokenExpiry
+     * @fires NestNetworkManager#tokenExpiring
+     * @fires NestNetworkManager#tokenExpired
+     */
+    _checkTokenExpiry ( ) {
+
+        const now = Date.now();
+        var delay;
+
+        this._clearTokenExpiryTimer();
+
+        if ( isNull(this.tokenExpiresAt) ) {
+
+            return ;
+        }
+
+        if ( now >= this.tokenExpiresAt ) {
+
+            this._emitTokenExpiredEvent();
+
+            return ;
+        }
+
+        if ( now >= this.tokenExpiresAt - this.tokenExpiryWarningPeriod ) {
+
+            if ( !this.tokenExpiryWarned ) {
+
+                this.tokenExpiryWarned = true;
+                this._emitTokenExpiringEvent();
+            }
+
+            delay = this.tokenExpiresAt - now;
+        } else {
+
+            delay = this.tokenExpiresAt - this.tokenExpiryWarningPeriod - now;
+        }
+
+        this.tokenExpiryTimer = setTimeout(
+            this._checkTokenExpiry.bind(this)
+            , Math.min( delay, MAX_TIMER_DELAY )
+        );
+
+        // the expiry check alone should not keep a node process running
+        if ( isFunction(this.tokenExpiryTimer.unref) ) {
+
+            this.tokenExpiryTimer.unref();
+        }
+    }
+
+    /**
+     * Stops the timer of the next check of the expiry of the token, if any.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _clearTokenExpiryTimer
+     */
+    _clearTokenExpiryTimer ( ) {
+
+        if ( !isNull(this.tokenExpiryTimer) ) {
+
+            clearTimeout( this.tokenExpiryTimer );
+            this.tokenExpiryTimer = null;
+        }
+    }
+
+    /**
+     * Wipes the accessToken property on the network manager instance thereby
+     * disallowing further account-centric requests against the WWN API.
+     * @public
+     * @memberof NestNetworkManager
+     * @method removeToken
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    removeToken ( ) {
+
+        this.accessToken = null;
+        this.tokenIssuedAt = null;
+        this.tokenExpiresAt = null;
+        this.tokenExpiryWarned = false;
+        this._clearTokenExpiryTimer();
+
+        return this;
+    }
+
+    /**
+     * Sets the request of the given stream context with the given options,
+     * opened through the instances transport. Will follow and cache redirects.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _setServiceStream
+     * @param {NestServiceStreamContext} streamContext - the context of the stream to set
+     * @param {Object} options - the options object used to set up the request
+     * @param {Function} resolve - the callback to resolve the returned promise
+     * @param {Function} reject - the callback to reject the returned promise
+     * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request after redirect
+     */
+    _setServiceStream ( streamContext, options, resolve, reject, repeatRequest )  {
+
+        // a new connection starts a new event stream, discard anything left
+        // over from a previous connection
+        streamContext.parser.reset();
+        this._applyCachedRedirect( options, streamContext.requestContext );
+        streamContext.requestContext.url = options.url;
+
+        const serviceStream = this.transport.stream(
+            options
+            , ( error, response, body ) => {
+
+                if ( streamContext.request !== serviceStream ) {
+
+                    // the stream has already been torn down by the instance
+                    return ;
+                }
+
+                this._removeServiceStreamDataListener( streamContext );
+
+                if ( error ) {
+
+                    this.metricsCollector.recordResponse( null );
+                }
+
+                if ( error && this._fallBackFromRedirect( streamContext.requestContext, repeatRequest ) ) {
+
+                    // the stream has been replaced by the repeated request
+                    return ;
+                }
+
+                if ( this._retryRequest( streamContext.requestContext, response, repeatRequest ) ) {
+
+                    // the failed stream stays in place until the retry
+                    // replaces it, so that closing the scope cancels the retry
+                    this._clearStreamWatchdog( streamContext );
+
+                    return ;
+                }
+
+                if ( response && has( this.reservedErrorCodes, response.statusCode ) ) {
+
+                    this.reservedErrorCodes[response.statusCode].call(
+                        this
+                        , response
+                        , repeatRequest
+                        , resolve
+                        , reject
+                        , streamContext.requestContext
+                    );
+
+                    if ( streamContext.request === serviceStream ) {
+
+                        // unless the handler has already replaced ( redirect )
+                        // or torn down ( auth error ) the stream, clean it up
+                        this._cleanupServiceStream( streamContext, response );
+                    }
+
+                    return ;
+                }
+
+                if ( error ) {
+
+                    this.loggers.stream.error(
+                        "The service stream has failed."
+                        , { scope: streamContext.scope, error: error }
+                    );
+
+                    reject(error);
+                } else {
+
+                    this.loggers.stream.warn(
+                        "The service stream has ended."
+                        , { scope: streamContext.scope, statusCode: response ? response.statusCode : null }
+                    );
+
+                    resolve(body);
+                }
+
+                this._cleanupServiceStream( streamContext, response );
+            }
+        );
+
+        streamContext.request = serviceStream;
+        streamContext.resolve = resolve;
+        streamContext.reject = reject;
+
+        serviceStream.on(
+            'response'
+            , this._handleServiceStreamEstablished.bind(this, streamContext)
+        );
+        this._resetStreamWatchdog( streamContext );
+    }
+
+    /**
+     * Removes the listener on the 'data' event of the given context's stream.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _removeServiceStreamDataListener
+     * @param {NestServiceStreamContext} streamContext
+     */
+    _removeServiceStreamDataListener ( streamContext ) {
+
+        streamContext.request.removeListener(
+            'data'
+            , streamContext.dataListener
+        );
+    }
+
+    /**
+     * Adds a listener to the 'data' event of the given context's stream.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _addServiceStreamDataListener
+     * @param {NestServiceStreamContext} streamContext
+     */
+    _addServiceStreamDataListener ( streamContext ) {
+
+        streamContext.request.on(
+            'data'
+            , streamContext.dataListener
+        );
+    }
+
+    /**
+     * Attempts to begin a REST stream against the WWN API for each of the
+     * given scopes; streams the account root if no scope is given. Returns a
+     * promise which will be resolved/rejected when the REST streams end and
+     * whether they end in error. Will also add a listener to each streams
+     * 'data' event so that updates on the stream can be emitted to applicable
+     * listeners. The timeout of the call covers the establishment of each
+     * stream; aborting its signal closes the streams, rejecting their promises
+     * with a RequestCancelled error. A scope which is already streamed is
+     * rejected with a StreamAlreadyActive error.
+     * @public
+     * @memberof NestNetworkManager
+     * @method streamServiceChanges
+     * @param {String|Array<String>} [scopes] - the paths to stream ( e.g. /devices/thermostats/<id>, /structures/<id> )
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call
+     * @returns {RSVP.Promise} - a promise to be resolved/reject upon normal closure/failure of the streams
+     */
+    streamServiceChanges ( scopes, requestOptions ) {
+
+        const normalizedScopes = NestNetworkManagerUtils.normalizeStreamScopes( scopes );
+
+        if ( normalizedScopes.length === 1 ) {
+
+            return this._streamServiceScope( normalizedScopes[0], requestOptions );
+        }
+
+        return RSVP.all(
+            normalizedScopes.map(
+                ( scope ) => this._streamServiceScope( scope, requestOptions )
+            )
+        );
+    }
+
+    /**
+     * Closes the REST streams of the given scopes, or every REST stream if no
+     * scope is given, without attempting to reconnect them. The promises of
+     * the closed streams are resolved.
+     * @public
+     * @memberof NestNetworkManager
+     * @method closeServiceStreams
+     * @param {String|Array<String>} [scopes] - the paths of the streams to close
+     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     */
+    closeServiceStreams ( scopes ) {
+
+        const normalizedScopes = isUndefined(scopes)
+            ? this.getServiceStreamScopes()
+            : NestNetworkManagerUtils.normalizeStreamScopes( scopes );
+
+        forEach(
+            normalizedScopes
+            , ( scope ) => {
+
+                const streamContext = this.serviceStreams[scope];
+
+                if ( isUndefined(streamContext) ) {
+
+                    return ;
+                }
+
+                // forget the scope first so that it is not reconnected
+                this._cancelServiceStreamReconnect( streamContext );
+                this._removeServiceStreamContext( streamContext );
+                this._abortServiceStream( streamContext );
+            }
+        );
+
+        return this;
+    }
+
+    /**
+     * Returns the scopes which are currently streamed, or waiting to be
+     * reconnected.
+     * @public
+     * @memberof NestNetworkManager
+     * @method getServiceStreamScopes
+     * @returns {Array<String>} - the normalized paths of the streams
+     */
+    getServiceStreamScopes ( ) {
+
+        return Object.keys( this.serviceStreams );
+    }
+
+    /**
+     * Returns the options each stream was opened with, keyed by scope, so
+     * that the streams can be restored once closed.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _getServiceStreamRequestOptions
+     * @returns {Object<NestRequestOptions>} - the timeout and abort signal of each stream, keyed by normalized path
+     */
+    _getServiceStreamRequestOptions ( ) {
+
+        const streamRequestOptions = {};
+
+        forEach(
+            this.serviceStreams
+            , ( streamContext, scope ) => {
+
+                streamRequestOptions[scope] = streamContext.requestOptions;
+            }
+        );
+
+        return streamRequestOptions;
+    }
+
+    /**
+     * Opens again the streams which were closed, each with the options it
+     * was first opened with. The promises of the closed streams have already
+     * been resolved, so a restored stream which fails is only logged; it is
+     * reconnected as any other stream if automatic reconnects are enabled.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _restoreServiceStreams
+     * @param {Object<NestRequestOptions>} streamRequestOptions - the options of the closed streams, keyed by normalized path
+     */
+    _restoreServiceStreams ( streamRequestOptions ) {
+
+        forEach(
+            streamRequestOptions
+            , ( requestOptions, scope ) => {
+
+                if ( has( this.serviceStreams, scope ) ) {
+
+                    // streamed again in the meantime
+                    return ;
+                }
+
+                this.loggers.stream.info( "Restoring a closed service stream.", { scope: scope } );
+                this._streamServiceScope( scope, requestOptions ).catch(
+                    ( error ) => {
+
+                        this.loggers.stream.warn(
+                            "The restored service stream has ended with an error."
+                            , { scope: scope, error: error }
+                        );
+                    }
+                );
+            }
+        );
+    }
+
+    /**
+     * Starts the REST stream of a single scope, reusing the context of a
+     * stream which is waiting to be reconnected.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _streamServiceScope
+     * @param {String} scope - the normalized path to stream
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call, also applied to reconnects
+     * @returns {RSVP.Promise} - a promise to be resolved/reject upon normal closure/failure of the stream
+     */
+    _streamServiceScope ( scope, requestOptions ) {
+
+        var streamContext = this.serviceStreams[scope];
+
+        if ( isUndefined(streamContext) ) {
+
+            streamContext = this._createServiceStreamContext( scope );
+        } else if ( isNull(streamContext.request) ) {
+
+            // a reconnect is pending, connect right away instead
+            this._cancelServiceStreamReconnect( streamContext );
+        }
+
+        streamContext.requestOptions = requestOptions || {};
+
+        return this._openServiceStream( streamContext );
+    }
+
+    /**
+     * Opens the REST stream of the given context under the timeout and abort
+     * signal of the call which started it.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _openServiceStream
+     * @param {NestServiceStreamContext} streamContext
+     * @returns {RSVP.Promise} - a promise to be resolved/reject upon normal closure/failure of the stream
+     */
+    _openServiceStream ( streamContext ) {
+
+        return new RSVP.Promise(
+            ( resolve, reject ) => {
+
+                if ( !isNull(streamContext.request) ) {
+
+                    // there is already an active stream from the service for
+                    // this scope
+                    reject( new NetworkManagerErrors.StreamAlreadyActive( streamContext.scope ) );
+
+                    return ;
+                }
+
+                const requestContext = this._createRequestContext( "GET" );
+
+                streamContext.requestContext = requestContext;
+                this._superviseRequest(
+                    requestContext
+                    , streamContext.requestOptions
+                    , resolve
+                    , reject
+                    , this._terminateServiceStream.bind( this, streamContext, requestContext )
+                );
+
+                if ( requestContext.settled ) {
+
+                    return ;
+                }
+
+                this._createServiceStreamRequest(
+                    streamContext
+                    , requestContext.resolve
+                    , requestContext.reject
+                );
+            }
+        );
+    }
+
+    /**
+     * Ends the REST stream of a call which has timed out or been cancelled.
+     * A cancelled stream is closed for good, a timed out stream is
+     * reconnected if the instance is set to.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _terminateServiceStream
+     * @param {NestServiceStreamContext} streamContext
+     * @param {NestRequestContext} requestContext - the state of the request opening the stream
+     * @param {Error} error - the RequestTimedOut or RequestCancelled error
+     */
+    _terminateServiceStream ( streamContext, requestContext, error ) {
+
+        if ( error instanceof NetworkManagerErrors.RequestCancelled ) {
+
+            this._cancelServiceStreamReconnect( streamContext );
+            this._removeServiceStreamContext( streamContext );
+        }
+
+        if ( streamContext.requestContext !== requestContext
+            || isNull(streamContext.request) ) {
+
+            // the stream has not been requested yet or has already ended
+            requestContext.reject( error );
+
+            return ;
+        }
+
+        this._abortServiceStream( streamContext, error );
+    }
+
+    /**
+     * Creates the parameters for the service stream request
+     * @private
+     * @memberof NestNetworkManager
+     * @method _createServiceStreamRequest
+     * @param {NestServiceStreamContext} streamContext - the context of the stream to request
+     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     */
+    _createServiceStreamRequest ( streamContext, resolve, reject ) {
+
+        const options = NestNetworkManagerUtils.generateServiceStreamRequestOptions(
+            this.apiUrl
+            , this.accessToken
+            , streamContext.scope
+        );
+
+        this._setServiceStream(
+            streamContext
+            , options
+            , resolve
+            , reject
+            , this._createServiceStreamRequest.bind(
+                this
+                , streamContext
+                , resolve
+                , reject
+            )
+        );
+        this._addServiceStreamDataListener( streamContext );
+    }
+
+    /**
+     * Returns a promise for resolution/rejection upon transaction completion
+     * with the WWN API with the given parameters. The request is paced by the
+     * request scheduler, so it may wait for the rate limits of the WWN API.
+     * @public
+     * @memberof NestNetworkManager
+     * @method updateDevice
+     * @param {Object} deviceData - the device object which can be requested from the Representation Manager
+     * @param {String} keyToUpdate - the key to update on the service relative to the device being updated
+     * @param {String|Number} valueToUpdateWith - the value to update the WWN API with
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call
+     * @returns {RSVP.Promise} - a promise to be resolved/reject upon failure/success of the PUT request; rejected with a WriteQueued error if the write has been queued, see enableOfflineWriteQueue
+     */
+    updateDevice ( deviceData, keyToUpdate, valueToUpdateWith, requestOptions ) {
+
+        return new RSVP.Promise(
+            ( resolve, reject ) => {
+
+                const write = this._describeDeviceWrite(
+                    deviceData
+                    , { [keyToUpdate]: this._parseFieldValue( valueToUpdateWith ) }
+                );
+
+                if ( this._isWriteQueueHolding() ) {
+
+                    reject( this._queueWrite( write, null ) );
+
+                    return ;
+                }
+
+                this._scheduleWrite(
+                    requestOptions
+                    , resolve
+                    , this._queueWriteOnConnectionError.bind( this, write, reject )
+                    , this._createUpdateDeviceRequest.bind(
+                        this
+                        , deviceData
+                        , keyToUpdate
+                        , valueToUpdateWith
+                    )
+                );
+            }
+        );
+    }
+
+    /**
+     * Creates the parameters for a device update request
+     * @private
+     * @memberof NestNetworkManager
+     * @method _createUpdateDeviceRequest
+     * @param {Object} deviceData - the device object which can be requested from the Representation Manager
+     * @param {String} keyToUpdate - the key to update on the service relative to the device being updated
+     * @param {String|Number} valueToUpdateWith - the value to update the WWN API with
+     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the request across its attempts
+     */
+    _createUpdateDeviceRequest ( deviceData, keyToUpdate, valueToUpdateWith, resolve, reject, requestContext ) {
+
+        const options = NestNetworkManagerUtils.generateDeviceUpdateRequestOptions(
+            this.apiUrl
+            , this.accessToken
+            , deviceData
+            , keyToUpdate
+            , valueToUpdateWith
+        );
+
+        this._putRequest(
+            options
+            , resolve
+            , reject
+            , this._createUpdateDeviceRequest.bind(
+                this
+                , deviceData
+                , keyToUpdate
+                , valueToUpdateWith
+                , resolve
+                , reject
+                , requestContext
+            )
+            , requestContext
+        );
+    }
+
+    /**
+     * Updates several fields of a device with a single request so that the
+     * device never goes through an intermediate state ( e.g. switching to
+     * heat-cool along with its temperature range ). The values keep their
+     * types, so booleans and numbers are sent as such. The request is paced
+     * by the request scheduler like any other write.
+     * @public
+     * @memberof NestNetworkManager
+     * @method updateDeviceFields
+     * @param {Object} deviceData - the device object which can be requested from the Representation Manager
+     * @param {Object} fields - the values to update keyed by field ( e.g. { hvac_mode: "heat-cool", target_temperature_low_f: 66, target_temperature_high_f: 74 } )
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call
+     * @returns {RSVP.Promise} - a promise to be resolved/reject upon failure/success of the PUT request; rejected with a WriteQueued error if the write has been queued, see enableOfflineWriteQueue
+     */
+    updateDeviceFields ( deviceData, fields, requestOptions ) {
+
+        return new RSVP.Promise(
+            ( resolve, reject ) => {
+
+                if ( !isPlainObject(fields) || isEmpty(fields) ) {
+
+                    reject(
+                        new NetworkManagerErrors.InvalidDeviceUpdate(
+                            "no fields to update were given."
+                        )
+                    );
+
+                    return ;
+                }
+
+                const write = this._describeDeviceWrite( deviceData, fields );
+
+                if ( this._isWriteQueueHolding() ) {
+
+                    reject( this._queueWrite( write, null ) );
+
+                    return ;
+                }
+
+                this._scheduleWrite(
+                    requestOptions
+                    , resolve
+                    , this._queueWriteOnConnectionError.bind( this, write, reject )
+                    , this._createUpdateDeviceFieldsRequest.bind(
+                        this
+                        , deviceData
+                        , fields
+                    )
+                );
+            }
+        );
+    }
+
+    /**
+     * Creates the parameters for a multi-field device update request
+     * @private
      * @memberof NestNetworkManager
-     * @method removeToken
-     * @returns {NestNetworkManager} - the network manager instance so that calls can be chained
+     * @method _createUpdateDeviceFieldsRequest
+     * @param {Object} deviceData - the device object which can be requested from the Representation Manager
+     * @param {Object} fields - the values to update keyed by field
+     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the request across its attempts
      */
-    removeToken ( ) {
+    _createUpdateDeviceFieldsRequest ( deviceData, fields, resolve, reject, requestContext ) {
 
-        this.accessToken = null;
+        const options = NestNetworkManagerUtils.generateDeviceFieldsUpdateRequestOptions(
+            this.apiUrl
+            , this.accessToken
+            , deviceData
+            , fields
+        );
 
-        return this;
+        this._putRequest(
+            options
+            , resolve
+            , reject
+            , this._createUpdateDeviceFieldsRequest.bind(
+                this
+                , deviceData
+                , fields
+                , resolve
+                , reject
+                , requestContext
+            )
+            , requestContext
+        );
+    }
+
+    /**
+     * Updates the given fields of a structure ( e.g. { away: "away" } ) with
+     * a single request. Only the writable fields of a structure are accepted;
+     * the promise is rejected with an InvalidStructureUpdate error, without
+     * making a request, for any other field or an unsupported value. The
+     * request is paced by the request scheduler like any other write.
+     * @public
+     * @memberof NestNetworkManager
+     * @method updateStructure
+     * @param {Object} structureData - the structure object which can be requested from the Representation Manager
+     * @param {Object} fields - the values to update keyed by field
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call
+     * @returns {RSVP.Promise} - a promise to be resolved/reject upon failure/success of the PUT request; rejected with a WriteQueued error if the write has been queued, see enableOfflineWriteQueue
+     */
+    updateStructure ( structureData, fields, requestOptions ) {
+
+        return new RSVP.Promise(
+            ( resolve, reject ) => {
+
+                const validationError = this._validateStructureFields( structureData, fields );
+
+                if ( !isNull(validationError) ) {
+
+                    reject( validationError );
+
+                    return ;
+                }
+
+                const write = {
+                    kind: "structure"
+                    , key: NestNetworkManagerUtils.normalizeStreamScope(
+                        [ "structures", structureData.structure_id ].join("/")
+                    )
+                    , target: { structure_id: structureData.structure_id }
+                    , fields: fields
+                };
+
+                if ( this._isWriteQueueHolding() ) {
+
+                    reject( this._queueWrite( write, null ) );
+
+                    return ;
+                }
+
+                this._scheduleWrite(
+                    requestOptions
+                    , resolve
+                    , this._queueWriteOnConnectionError.bind( this, write, reject )
+                    , this._createUpdateStructureRequest.bind(
+                        this
+                        , structureData
+                        , fields
+                    )
+                );
+            }
+        );
     }
 
     /**
-     * Sets the serviceStream property on the Network Manager instance with
-     * the given options. Will follow and cache redirects.
+     * Checks a structure update against the writable fields of a structure.
      * @private
      * @memberof NestNetworkManager
-     * @method _setServiceStream
-     * @param {Object} options - the options object used to set up the request
-     * @param {Function} resolve - the callback to resolve the returned promise
-     * @param {Function} reject - the callback to reject the returned promise
+     * @method _validateStructureFields
+     * @param {Object} structureData - the structure object to update
+     * @param {Object} fields - the values to update keyed by field
+     * @returns {InvalidStructureUpdate|Null} - the error describing the first problem found or null if the update is valid
+     */
+    _validateStructureFields ( structureData, fields ) {
+
+        var invalidField;
+
+        if ( !isPlainObject(structureData) || !isString(structureData.structure_id) ) {
+
+            return new NetworkManagerErrors.InvalidStructureUpdate(
+                "the given structure has no structure_id."
+            );
+        }
+
+        if ( !isPlainObject(fields) || isEmpty(fields) ) {
+
+            return new NetworkManagerErrors.InvalidStructureUpdate(
+                "no fields to update were given."
+            );
+        }
+
+        invalidField = findKey(
+            fields
+            , ( value, key ) => !has( STRUCTURE_WRITABLE_FIELDS, key )
+        );
+
+        if ( !isUndefined(invalidField) ) {
+
+            return new NetworkManagerErrors.InvalidStructureUpdate(
+                [ "the field", invalidField, "is not writable." ].join(" ")
+            );
+        }
+
+        invalidField = findKey(
+            fields
+            , ( value, key ) => !includes( STRUCTURE_WRITABLE_FIELDS[key], value )
+        );
+
+        if ( !isUndefined(invalidField) ) {
+
+            return new NetworkManagerErrors.InvalidStructureUpdate(
+                [
+                    "the field"
+                    , invalidField
+                    , "only accepts"
+                    , STRUCTURE_WRITABLE_FIELDS[invalidField].join(", ")
+                ].join(" ") + "."
+            );
+        }
+
+        return null;
+    }
+
+    /**
+     * Creates the parameters for a structure update request
+     * @private
+     * @memberof NestNetworkManager
+     * @method _createUpdateStructureRequest
+     * @param {Object} structureData - the structure object which can be requested from the Representation Manager
+     * @param {Object} fields - the values to update keyed by field
+     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the request across its attempts
+     */
+    _createUpdateStructureRequest ( structureData, fields, resolve, reject, requestContext ) {
+
+        const options = NestNetworkManagerUtils.generateStructureUpdateRequestOptions(
+            this.apiUrl
+            , this.accessToken
+            , structureData
+            , fields
+        );
+
+        this._putRequest(
+            options
+            , resolve
+            , reject
+            , this._createUpdateStructureRequest.bind(
+                this
+                , structureData
+                , fields
+                , resolve
+                , reject
+                , requestContext
+            )
+            , requestContext
+        );
+    }
+
+    /**
+     * Tells a structure when someone is expected to arrive so that its
+     * thermostats can pre-condition the home. The window bounds can be given
+     * as dates, timestamps (ms) or date strings; the window has to end in the
+     * future. Repeated updates of the same trip have to carry the trip id of
+     * the first update, which a trip id is generated for if none is given.
+     * @public
+     * @memberof NestNetworkManager
+     * @method setStructureEta
+     * @param {Object} structureData - the structure object which can be requested from the Representation Manager
+     * @param {Date|Number|String} windowBegin - the earliest expected arrival
+     * @param {Date|Number|String} windowEnd - the latest expected arrival
+     * @param {String} [tripId] - the id of the trip being updated
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call
+     * @returns {RSVP.Promise} - a promise resolved with the ETA object sent to the WWN API or rejected upon failure of the PUT request; rejected with a WriteQueued error if the write has been queued, see enableOfflineWriteQueue
+     */
+    setStructureEta ( structureData, windowBegin, windowEnd, tripId, requestOptions ) {
+
+        return new RSVP.Promise(
+            ( resolve, reject ) => {
+
+                const validationError = this._validateStructureEta(
+                    structureData
+                    , windowBegin
+                    , windowEnd
+                    , tripId
+                );
+
+                if ( !isNull(validationError) ) {
+
+                    reject( validationError );
+
+                    return ;
+                }
+
+                this._scheduleStructureEtaRequest(
+                    structureData
+                    , {
+                        trip_id: tripId || NestNetworkManagerUtils.generateEtaTripId()
+                        , estimated_arrival_window_begin: new Date(windowBegin).toISOString()
+                        , estimated_arrival_window_end: new Date(windowEnd).toISOString()
+                    }
+                    , requestOptions
+                    , resolve
+                    , reject
+                );
+            }
+        );
+    }
+
+    /**
+     * Cancels a trip towards a structure, e.g. when plans have changed.
+     * @public
+     * @memberof NestNetworkManager
+     * @method cancelStructureEta
+     * @param {Object} structureData - the structure object which can be requested from the Representation Manager
+     * @param {String} tripId - the id of the trip to cancel
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call
+     * @returns {RSVP.Promise} - a promise resolved with the ETA object sent to the WWN API or rejected upon failure of the PUT request; rejected with a WriteQueued error if the write has been queued, see enableOfflineWriteQueue
+     */
+    cancelStructureEta ( structureData, tripId, requestOptions ) {
+
+        return new RSVP.Promise(
+            ( resolve, reject ) => {
+
+                const validationError = this._validateStructureEta(
+                    structureData
+                    , null
+                    , null
+                    , tripId
+                );
+
+                if ( !isNull(validationError) ) {
+
+                    reject( validationError );
+
+                    return ;
+                }
+
+                if ( !isString(tripId) ) {
+
+                    reject(
+                        new NetworkManagerErrors.InvalidStructureUpdate(
+                            "no trip id was given to cancel."
+                        )
+                    );
+
+                    return ;
+                }
+
+                // a window of zeros cancels the trip
+                this._scheduleStructureEtaRequest(
+                    structureData
+                    , {
+                        trip_id: tripId
+                        , estimated_arrival_window_begin: 0
+                        , estimated_arrival_window_end: 0
+                    }
+                    , requestOptions
+                    , resolve
+                    , reject
+                );
+            }
+        );
+    }
+
+    /**
+     * Checks an ETA update of a structure. The window is only checked if
+     * either of its bounds is given.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _validateStructureEta
+     * @param {Object} structureData - the structure object to update
+     * @param {Date|Number|String|Null} windowBegin - the earliest expected arrival
+     * @param {Date|Number|String|Null} windowEnd - the latest expected arrival
+     * @param {String} [tripId] - the id of the trip
+     * @returns {InvalidStructureUpdate|Null} - the error describing the first problem found or null if the update is valid
+     */
+    _validateStructureEta ( structureData, windowBegin, windowEnd, tripId ) {
+
+        const isValidDate = ( value ) => ( value instanceof Date || isNumber(value) || isString(value) )
+            && isFinite( new Date(value).getTime() );
+
+        if ( !isPlainObject(structureData) || !isString(structureData.structure_id) ) {
+
+            return new NetworkManagerErrors.InvalidStructureUpdate(
+                "the given structure has no structure_id."
+            );
+        }
+
+        if ( !isUndefined(tripId) && ( !isString(tripId) || tripId === "" ) ) {
+
+            return new NetworkManagerErrors.InvalidStructureUpdate(
+                "the given trip id is not a non-empty string."
+            );
+        }
+
+        if ( isNull(windowBegin) && isNull(windowEnd) ) {
+
+            return null;
+        }
+
+        if ( !isValidDate(windowBegin) || !isValidDate(windowEnd) ) {
+
+            return new NetworkManagerErrors.InvalidStructureUpdate(
+                "the ETA window is not given as two valid dates."
+            );
+        }
+
+        if ( new Date(windowBegin).getTime() > new Date(windowEnd).getTime() ) {
+
+            return new NetworkManagerErrors.InvalidStructureUpdate(
+                "the ETA window ends before it begins."
+            );
+        }
+
+        if ( new Date(windowEnd).getTime() <= Date.now() ) {
+
+            return new NetworkManagerErrors.InvalidStructureUpdate(
+                "the ETA window has already ended."
+            );
+        }
+
+        return null;
+    }
+
+    /**
+     * Schedules an ETA request through the request scheduler, resolving with
+     * the ETA object once the WWN API has accepted it. As any other write,
+     * the request is queued behind the writes held by the offline write
+     * queue, or queued once it fails since the WWN API cannot be reached.
+     * Updates of the same trip are coalesced in the queue.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _scheduleStructureEtaRequest
+     * @param {Object} structureData - the structure object to update
+     * @param {Object} eta - the ETA object to send
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call
+     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     */
+    _scheduleStructureEtaRequest ( structureData, eta, requestOptions, resolve, reject ) {
+
+        const write = {
+            kind: "eta"
+            , key: NestNetworkManagerUtils.normalizeStreamScope(
+                [ "structures", structureData.structure_id, "eta", eta.trip_id ].join("/")
+            )
+            , target: { structure_id: structureData.structure_id }
+            , fields: eta
+        };
+
+        if ( this._isWriteQueueHolding() ) {
+
+            reject( this._queueWrite( write, null ) );
+
+            return ;
+        }
+
+        this._scheduleWrite(
+            requestOptions
+            , () => resolve( eta )
+            , this._queueWriteOnConnectionError.bind( this, write, reject )
+            , this._createStructureEtaRequest.bind(
+                this
+                , structureData
+                , eta
+            )
+        );
+    }
+
+    /**
+     * Creates the parameters for a structure ETA request
+     * @private
+     * @memberof NestNetworkManager
+     * @method _createStructureEtaRequest
+     * @param {Object} structureData - the structure object which can be requested from the Representation Manager
+     * @param {Object} eta - the ETA object to send
+     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the request across its attempts
+     */
+    _createStructureEtaRequest ( structureData, eta, resolve, reject, requestContext ) {
+
+        const options = NestNetworkManagerUtils.generateStructureEtaRequestOptions(
+            this.apiUrl
+            , this.accessToken
+            , structureData
+            , eta
+        );
+
+        this._putRequest(
+            options
+            , resolve
+            , reject
+            , this._createStructureEtaRequest.bind(
+                this
+                , structureData
+                , eta
+                , resolve
+                , reject
+                , requestContext
+            )
+            , requestContext
+        );
+    }
+
+    /**
+     * Executes an HTTP PUT request with the given options object through the
+     * instances transport; will follow and cache redirects.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _putRequest
+     * @param {Object} options - a request-compatible options object used to set-up the PUT request.
+     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request after redirect
+     * @param {NestRequestContext} requestContext - the state of the request across its attempts
      */
-    _setServiceStream ( options, resolve, reject, repeatRequest )  {
+    _putRequest ( options, resolve, reject, repeatRequest, requestContext ) {
+
+        if ( requestContext.settled ) {
+
+            // the call has timed out or been cancelled in the meantime
+            return ;
+        }
+
+        this._applyCachedRedirect( options, requestContext );
+        requestContext.url = options.url;
+
+        const sentAt = Date.now();
+
+        requestContext.request = this.transport.put(
+            options
+            , ( error, response, body ) => {
+
+                requestContext.request = null;
+                this.metricsCollector.recordResponse( error ? null : response );
+
+                if ( !error ) {
+
+                    this.metricsCollector.recordPutLatency( requestContext.path, Date.now() - sentAt );
+                }
+
+                if ( requestContext.settled ) {
+
+                    return ;
+                }
+
+                if ( error ) {
+
+                    if ( this._fallBackFromRedirect( requestContext, repeatRequest ) ) {
+
+                        return ;
+                    }
 
-        this.serviceStream = request(
-            options
-            , ( error, response, body ) => {
+                    this.loggers.network.error(
+                        "The write has failed."
+                        , { path: requestContext.path, error: error }
+                    );
+                    reject(error);
 
-                this._removeServiceStreamDataListener();
+                    return ;
+                }
 
-                if ( has( this.reservedErrorCodes, response.statusCode ) ) {
+                if ( this._retryRequest( requestContext, response, repeatRequest ) ) {
 
-                    this.reservedErrorCodes[response.statusCode].call(
+                    return ;
+                }
+
+                if ( has( this.reservedWriteErrorCodes, response.statusCode ) ) {
+
+                    this.reservedWriteErrorCodes[response.statusCode].call(
                         this
                         , response
                         , repeatRequest
                         , resolve
                         , reject
+                        , requestContext
                     );
 
                     return ;
                 }
 
-                if ( error ) {
+                this.loggers.network.debug(
+                    "The write has succeeded."
+                    , { path: requestContext.path, statusCode: response.statusCode }
+                );
+                resolve(body);
+            }
+        );
+    }
 
-                    console.error(
-                        "Request reported error:"
-                        , error
-                        , response
-                    );
+    /**
+     * Handles a redirect response from an HTTP request (307). Will repeat the
+     * request against the redirected host and cache the redirect for the
+     * path of the request so that later requests go to that host directly.
+     * A request redirected more than MAX_REQUEST_REDIRECTS times is rejected
+     * with a TooManyRedirects error and the redirect it was sent through is
+     * forgotten, so that a loop between hosts does not go on forever.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _handleRedirect
+     * @param {Object} response - the response from the WWN API.
+     * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
+     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the redirected request
+     */
+    _handleRedirect ( response, repeatRequest, resolve, reject, requestContext ) {
 
-                    reject(error);
-                } else {
+        requestContext.redirects += 1;
 
-                    console.warn(
-                        "Request ended with response:"
-                        , body
-                        , response
-                    );
+        if ( requestContext.redirects > MAX_REQUEST_REDIRECTS ) {
 
-                    resolve(body);
-                }
+            this.loggers.cache.warn(
+                "The WWN API keeps redirecting the request, so it has been abandoned."
+                , { path: requestContext.path, redirects: requestContext.redirects }
+            );
+
+            // the redirects of the request have been cached for its path
+            this.redirectCache.remove( requestContext.path );
 
-                this._cleanupServiceStream();
+            if ( !isNull(requestContext.redirectPath) ) {
+
+                this.redirectCache.remove( requestContext.redirectPath );
             }
+
+            reject(
+                new NetworkManagerErrors.TooManyRedirects(
+                    requestContext.url
+                    , requestContext.redirects
+                )
+            );
+
+            return ;
+        }
+
+        this.loggers.cache.debug(
+            "Caching the redirect of the WWN API."
+            , { path: requestContext.path, location: response.headers.location }
         );
+
+        if ( isString(response.headers.location) ) {
+
+            requestContext.redirectOrigin = NestNetworkManagerUtils.parseUrlOrigin( response.headers.location );
+        }
+
+        this.redirectCache.store( requestContext.path, response.headers.location );
+        // repeat the request, the network manager will now
+        // use the redirect url
+        repeatRequest();
     }
 
+    /**
+     * Handles a blocked response from a HTTP request (429). Will block the
+     * request scheduler for as long as the service asked, log the response
+     * info and reject the associated promise.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _handleBlocked
+     * @param {Object} response - the response from the WWN API.
+     * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
+     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the request
+     */
+    _handleBlocked ( response, repeatRequest, resolve, reject, requestContext ) {
+
+        this._applyRateLimitation( response );
+
+        this.loggers.network.warn(
+            "The WWN API has reported that this client has reached its rate limits, the request is rejected."
+            , { path: requestContext.path, statusCode: response.statusCode }
+        );
+
+        reject(
+            new NetworkManagerErrors.RateLimited( response, requestContext.path )
+        );
+    }
 
     /**
-     * Removes a listener on the 'data' event on the service stream property.
+     * Handles a blocked response to a write (429). When the request scheduler
+     * queues writes while blocked the write is queued again, ahead of the
+     * writes made after it, otherwise it is handled like any blocked request.
      * @private
      * @memberof NestNetworkManager
-     * @method _removeServiceStreamDataListener
+     * @method _handleBlockedWrite
+     * @param {Object} response - the response from the WWN API.
+     * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
+     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the write
      */
-    _removeServiceStreamDataListener ( ) {
+    _handleBlockedWrite ( response, repeatRequest, resolve, reject, requestContext ) {
 
-        this.serviceStream.removeListener(
-            'data'
-            , this.boundStreamListener
+        if ( this.requestScheduler.policy.whenBlocked !== RATE_LIMIT_BLOCKED_BEHAVIOURS.queue ) {
+
+            this._handleBlocked( response, repeatRequest, resolve, reject, requestContext );
+
+            return ;
+        }
+
+        this._applyRateLimitation( response );
+
+        this.loggers.network.warn(
+            "The WWN API has reported that this client has reached its rate limits, the request will be retried once the limitation has passed."
+            , { path: requestContext.path, statusCode: response.statusCode }
         );
+
+        this.requestScheduler.acquire( true, requestContext ).then( repeatRequest, reject );
     }
 
     /**
-     * Adds a listener to the 'data' event on the service stream property.
+     * Blocks the request scheduler for the time given by the Retry-After
+     * header of a blocked response, or for the policy's default duration.
      * @private
      * @memberof NestNetworkManager
-     * @method _addServiceStreamDataListener
+     * @method _applyRateLimitation
+     * @param {Object} response - the blocked (429) response from the WWN API
      */
-    _addServiceStreamDataListener ( ) {
+    _applyRateLimitation ( response ) {
 
-        this.serviceStream.on(
-            'data'
-            , this.boundStreamListener
+        this.requestScheduler.block(
+            NestNetworkManagerUtils.parseRetryAfterHeader( response )
         );
     }
 
     /**
-     * Attempts to begin a REST stream against the WWN API. Returns a promise
-     * which will be resolved/rejected when the REST stream ends and whether it
-     * ends in error. Will also add a listener to the streams 'data' event so
-     * that updates on the stream can be emitted to applicable listeners.
-     * @public
+     * Creates the state kept for a request across its attempts.
+     * @private
      * @memberof NestNetworkManager
-     * @method _addServiceStreamDataListener
-     * @returns {RSVP.Promise} - a promise to be resolved/reject upon normal closure/failure of the stream
+     * @method _createRequestContext
+     * @param {String} method - the HTTP method of the request
+     * @returns {NestRequestContext}
      */
-    streamServiceChanges ( ) {
+    _createRequestContext ( method ) {
+
+        return {
+            method: method
+            , url: null
+            , attempts: 1
+            , retryTimer: null
+            , request: null
+            , resolve: null
+            , reject: null
+            , settled: false
+            , timeoutTimer: null
+            , signal: null
+            , abortListener: null
+            , path: null
+            , redirectPath: null
+            , redirectOrigin: null
+            , redirects: 0
+        };
+    }
 
-        return new RSVP.Promise(
-            ( resolve, reject ) => {
+    /**
+     * Applies the timeout and abort signal of a call to its request. The
+     * request context is given resolve and reject functions which settle the
+     * promise of the call only once and release the timer and the signal
+     * listener; the request has to be settled through them. Upon timeout or
+     * cancellation the terminate function is called with a RequestTimedOut or
+     * RequestCancelled error, right away if the signal has already been
+     * aborted.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _superviseRequest
+     * @param {NestRequestContext} requestContext - the state of the request
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call
+     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {Function} [terminate] - called with the error to end the request with; defaults to releasing the request
+     */
+    _superviseRequest ( requestContext, requestOptions, resolve, reject, terminate ) {
 
-                if ( !isNull(this.serviceStream) ) {
+        const options = requestOptions || {};
+        const timeout = isUndefined(options.timeout) ? this.requestTimeout : options.timeout;
+        const signal = options.signal || null;
+        const end = terminate || this._releaseRequest.bind( this, requestContext );
 
-                    // there is already an active stream from the service
-                    // reject with the current service stream
-                    reject( this.serviceStream );
+        requestContext.resolve = ( value ) => {
 
-                    return this.serviceStream;
-                }
+            if ( requestContext.settled ) {
 
-                this._createServiceStreamRequest(resolve, reject);
+                return ;
             }
-        );
+
+            this._settleRequest( requestContext );
+            resolve( value );
+        };
+        requestContext.reject = ( error ) => {
+
+            if ( requestContext.settled ) {
+
+                return ;
+            }
+
+            this._settleRequest( requestContext );
+            reject( error );
+        };
+
+        if ( !isNull(signal) && signal.aborted ) {
+
+            end( new NetworkManagerErrors.RequestCancelled( requestContext.url ) );
+
+            return ;
+        }
+
+        if ( timeout > 0 ) {
+
+            requestContext.timeoutTimer = setTimeout(
+                () => end( new NetworkManagerErrors.RequestTimedOut( timeout, requestContext.url ) )
+                , timeout
+            );
+        }
+
+        if ( !isNull(signal) ) {
+
+            requestContext.signal = signal;
+            requestContext.abortListener = () => end(
+                new NetworkManagerErrors.RequestCancelled( requestContext.url )
+            );
+            signal.addEventListener( 'abort', requestContext.abortListener );
+        }
     }
 
     /**
-     * Creates the parameters for the service stream request
+     * Marks a request as settled and releases its timer and signal listener.
      * @private
      * @memberof NestNetworkManager
-     * @method _createServiceStreamRequest
+     * @method _settleRequest
+     * @param {NestRequestContext} requestContext
+     */
+    _settleRequest ( requestContext ) {
+
+        requestContext.settled = true;
+        this._clearRequestTimeout( requestContext );
+
+        if ( !isNull(requestContext.signal) ) {
+
+            requestContext.signal.removeEventListener( 'abort', requestContext.abortListener );
+            requestContext.signal = null;
+            requestContext.abortListener = null;
+        }
+    }
+
+    /**
+     * Stops the timeout of a request, if any.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _clearRequestTimeout
+     * @param {NestRequestContext|Null} requestContext
+     */
+    _clearRequestTimeout ( requestContext ) {
+
+        if ( requestContext && !isNull(requestContext.timeoutTimer) ) {
+
+            clearTimeout( requestContext.timeoutTimer );
+            requestContext.timeoutTimer = null;
+        }
+    }
+
+    /**
+     * Ends a request which has timed out or been cancelled: cancels its
+     * pending retry, withdraws it from the request scheduler, aborts the
+     * ongoing request and rejects the promise of the call with the error.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _releaseRequest
+     * @param {NestRequestContext} requestContext
+     * @param {Error} error - the RequestTimedOut or RequestCancelled error
+     */
+    _releaseRequest ( requestContext, error ) {
+
+        this._cancelRequestRetry( requestContext );
+        this.requestScheduler.withdraw( requestContext );
+
+        if ( !isNull(requestContext.request) ) {
+
+            requestContext.request.abort();
+            requestContext.request = null;
+        }
+
+        requestContext.reject( error );
+    }
+
+    /**
+     * Schedules a write through the request scheduler under the timeout and
+     * abort signal of the call.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _scheduleWrite
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call
      * @param {Function} resolve - the resolution function to the promise for the public-function request interface
      * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {Function} createRequest - the setup function of the write, called with the resolve and reject functions and the request context
      */
-    _createServiceStreamRequest ( resolve, reject ) {
+    _scheduleWrite ( requestOptions, resolve, reject, createRequest ) {
 
-        const targetUrl = isNull(this.cachedRedirectUrl) ? this.apiUrl : this.cachedRedirectUrl;
-        const options = NestNetworkManagerUtils
-            .generateServiceStreamRequestOptions( targetUrl, this.accessToken );
+        const requestContext = this._createRequestContext( "PUT" );
 
-        this._setServiceStream(
-            options
-            , resolve
-            , reject
-            , this._createServiceStreamRequest.bind(
-                this
-                , resolve
-                , reject
+        this._superviseRequest( requestContext, requestOptions, resolve, reject );
+
+        if ( requestContext.settled ) {
+
+            return ;
+        }
+
+        this.requestScheduler.acquire( false, requestContext ).then(
+            () => createRequest(
+                requestContext.resolve
+                , requestContext.reject
+                , requestContext
             )
+            , requestContext.reject
         );
-        this._addServiceStreamDataListener();
     }
 
     /**
-     * Returns a promise for resolution/rejection upon transaction completion
-     * with the WWN API with the given parameters.
-     * @public
+     * Describes a device update for the offline write queue.
+     * @private
      * @memberof NestNetworkManager
-     * @method updateDevice
+     * @method _describeDeviceWrite
      * @param {Object} deviceData - the device object which can be requested from the Representation Manager
-     * @param {String} keyToUpdate - the key to update on the service relative to the device being updated
-     * @param {String|Number} valueToUpdateWith - the value to update the WWN API with
-     * @returns {RSVP.Promise} - a promise to be resolved/reject upon failure/success of the PUT request
+     * @param {Object} fields - the values to update keyed by field
+     * @returns {Object} - the kind, key, target and fields of the write
      */
-    updateDevice ( deviceData, keyToUpdate, valueToUpdateWith ) {
+    _describeDeviceWrite ( deviceData, fields ) {
 
-        return new RSVP.Promise(
-            ( resolve, reject ) => {
-
-                this._createUpdateDeviceRequest(
-                    deviceData
-                    , keyToUpdate
-                    , valueToUpdateWith
-                    , resolve
-                    , reject
-                );
+        return {
+            kind: "device"
+            , key: NestNetworkManagerUtils.normalizeStreamScope(
+                [ "devices", deviceData._deviceType, deviceData.device_id ].join("/")
+            )
+            , target: {
+                device_id: deviceData.device_id
+                , _deviceType: deviceData._deviceType
             }
-        );
+            , fields: fields
+        };
     }
 
     /**
-     * Creates the parameters for a device update request
+     * Converts a value given to updateDevice, which is sent as text, into
+     * the value the WWN API reads from that text, so that it keeps its
+     * meaning once the write is replayed as JSON ( e.g. "68" is a number,
+     * "heat" a string ).
      * @private
      * @memberof NestNetworkManager
-     * @method _createUpdateDeviceRequest
-     * @param {Object} deviceData - the device object which can be requested from the Representation Manager
-     * @param {String} keyToUpdate - the key to update on the service relative to the device being updated
-     * @param {String|Number} valueToUpdateWith - the value to update the WWN API with
-     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
+     * @method _parseFieldValue
+     * @param {String|Number|Boolean} value
+     * @returns {String|Number|Boolean}
+     */
+    _parseFieldValue ( value ) {
+
+        if ( !isString(value) ) {
+
+            return value;
+        }
+
+        try {
+
+            return JSON.parse( value );
+        } catch ( error ) {
+
+            return value;
+        }
+    }
+
+    /**
+     * Returns whether new writes have to be queued, which is the case for as
+     * long as the offline write queue holds writes so that they are not
+     * overtaken.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _isWriteQueueHolding
+     * @returns {Boolean}
+     */
+    _isWriteQueueHolding ( ) {
+
+        return !isNull(this.writeQueue) && this.writeQueue.size() > 0;
+    }
+
+    /**
+     * Returns whether the given error reveals that the WWN API could not be
+     * reached: a connection error of the transport or a timeout.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _isConnectionError
+     * @param {Error} error
+     * @returns {Boolean}
+     */
+    _isConnectionError ( error ) {
+
+        return error instanceof NetworkManagerErrors.RequestTimedOut
+            || ( !isNull(error) && !isUndefined(error) && includes( CONNECTION_ERROR_CODES, error.code ) );
+    }
+
+    /**
+     * The rejection function of a queueable write: queues the write if it
+     * has failed since the WWN API could not be reached and the offline write
+     * queue is enabled, and rejects with the error otherwise.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _queueWriteOnConnectionError
+     * @param {Object} write - the kind, key, target and fields of the write
      * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {Error} error - the error the write has failed with
      */
-    _createUpdateDeviceRequest ( deviceData, keyToUpdate, valueToUpdateWith, resolve, reject ) {
+    _queueWriteOnConnectionError ( write, reject, error ) {
 
-        const targetUrl = isNull(this.cachedRedirectUrl) ? this.apiUrl : this.cachedRedirectUrl;
+        if ( isNull(this.writeQueue) || !this._isConnectionError( error ) ) {
 
-        const options = NestNetworkManagerUtils.generateDeviceUpdateRequestOptions(
-            targetUrl
-            , this.accessToken
-            , deviceData
-            , keyToUpdate
-            , valueToUpdateWith
+            reject( error );
+
+            return ;
+        }
+
+        reject( this._queueWrite( write, error ) );
+    }
+
+    /**
+     * Adds a write to the offline write queue and schedules its replay.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _queueWrite
+     * @param {Object} write - the kind, key, target and fields of the write
+     * @param {Error|Null} cause - the error the write has failed with; null if it is queued behind earlier writes
+     * @returns {WriteQueued} - the error to reject the write with
+     * @fires NestNetworkManager#writeQueued
+     */
+    _queueWrite ( write, cause ) {
+
+        const entry = this.writeQueue.add( write );
+
+        this.loggers.network.warn(
+            "The WWN API cannot be reached, the write has been queued."
+            , { path: entry.key, queued: this.writeQueue.size(), error: cause }
         );
 
-        this._putRequest(
-            options
-            , resolve
-            , reject
-            , this._createUpdateDeviceRequest.bind(
-                this
-                , deviceData
-                , keyToUpdate
-                , valueToUpdateWith
-                , resolve
-                , reject
-            )
+        this._emitWriteQueuedEvent( entry, cause );
+        this._scheduleWriteQueueReplay();
+
+        return new NetworkManagerErrors.WriteQueued( entry, cause );
+    }
+
+    /**
+     * Replays the oldest queued write, then the next ones, until the queue is
+     * empty or the replay has to stop.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _replayQueuedWrites
+     * @param {NestWriteQueue} writeQueue - the queue being replayed
+     * @param {Array<NestWriteReplayOutcome>} outcomes - the outcomes of the writes replayed so far
+     * @returns {RSVP.Promise} - a promise resolved with the outcomes once the replay stops
+     */
+    _replayQueuedWrites ( writeQueue, outcomes ) {
+
+        const entry = writeQueue.first();
+
+        if ( isNull(entry) || isNull(this.accessToken) ) {
+
+            return RSVP.resolve( outcomes );
+        }
+
+        const createRequest = {
+            device: this._createUpdateDeviceFieldsRequest
+            , structure: this._createUpdateStructureRequest
+            , eta: this._createStructureEtaRequest
+        }[entry.kind];
+
+        return new RSVP.Promise(
+            ( resolve, reject ) => {
+
+                this._scheduleWrite(
+                    undefined
+                    , resolve
+                    , reject
+                    , createRequest.bind( this, entry.target, entry.fields )
+                );
+            }
+        ).then(
+            () => this._settleReplayedWrite( writeQueue, outcomes, entry, null )
+            , ( error ) => {
+
+                if ( this._isConnectionError( error )
+                    || error instanceof NetworkManagerErrors.RateLimited
+                    || error instanceof NetworkManagerErrors.RequestQueueFull
+                    || error instanceof NetworkManagerErrors.ServiceUnavailable ) {
+
+                    // try again later, the write keeps its place
+                    return outcomes;
+                }
+
+                return this._settleReplayedWrite( writeQueue, outcomes, entry, error );
+            }
         );
     }
 
     /**
-     * Executes an HTTP PUT request with the given options object; will follow
-     * and cache redirects.
+     * Removes a replayed write from the queue, reports its outcome and goes
+     * on with the next queued write.
      * @private
      * @memberof NestNetworkManager
-     * @method _putRequest
-     * @param {Object} options - a request-compatible options object used to set-up the PUT request.
-     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
-     * @param {Function} reject - the rejection function to the promise for the public-function request interface
-     * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request after redirect
+     * @method _settleReplayedWrite
+     * @param {NestWriteQueue} writeQueue - the queue being replayed
+     * @param {Array<NestWriteReplayOutcome>} outcomes - the outcomes of the writes replayed so far
+     * @param {NestQueuedWrite} entry - the replayed write
+     * @param {Error|Null} error - the error the WWN API refused the write with; null if it succeeded
+     * @returns {RSVP.Promise} - a promise resolved with the outcomes once the replay stops
+     * @fires NestNetworkManager#writeReplayed
      */
-    _putRequest ( options, resolve, reject, repeatRequest ) {
-
-        request(
-            options
-            , ( error, response, body ) => {
+    _settleReplayedWrite ( writeQueue, outcomes, entry, error ) {
 
-                if ( has( this.reservedErrorCodes, response.statusCode ) ) {
+        const outcome = {
+            entry: entry
+            , outcome: isNull(error) ? WRITE_REPLAY_OUTCOMES.succeeded : WRITE_REPLAY_OUTCOMES.failed
+            , error: error
+        };
 
-                    this.reservedErrorCodes[response.statusCode].call(
-                        this
-                        , response
-                        , repeatRequest
-                        , resolve
-                        , reject
-                    );
+        // a write coalesced into the entry meanwhile keeps it queued, so that
+        // the newer values are replayed too
+        writeQueue.remove( entry );
+        outcomes.push( outcome );
+        this._emitWriteReplayedEvent( outcome );
 
-                    return ;
-                }
+        return this._replayQueuedWrites( writeQueue, outcomes );
+    }
 
-                if ( error ) {
+    /**
+     * Schedules the next periodic replay of the queued writes, unless the
+     * queue is empty, a replay is ongoing or already scheduled. The timer
+     * does not keep the process alive.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _scheduleWriteQueueReplay
+     */
+    _scheduleWriteQueueReplay ( ) {
 
-                    console.error("Got error in request", response, body);
-                    if ( !isNull( this.cachedRedirectUrl ) ) {
-                        console.log("Wiping cached url and attempting a re-request.");
-                        // the host may be down or have changed location, wipe
-                        // the cache url and attempt a re-request
-                        this._wipeCachedUrl();
-                        this._putRequest(
-                            NestNetworkManagerUtils.generateDeviceUpdateRequestOptions(
-                                this.apiUrl
-                                , this.accessToken
-                                , deviceData
-                                , keyToUpdate
-                                , valueToUpdateWith
-                            )
-                            , resolve
-                            , reject
-                            , deviceData
-                            , keyToUpdate
-                            , valueToUpdateWith
-                        );
-                    } else {
+        if ( !this._isWriteQueueHolding()
+            || this.writeQueueReplayInterval <= 0
+            || !isNull(this.writeQueueReplay)
+            || !isNull(this.writeQueueReplayTimer) ) {
 
-                        reject(error);
-                    }
+            return ;
+        }
 
-                } else {
+        this.writeQueueReplayTimer = setTimeout(
+            () => {
 
-                    console.log("Got success response in request", body);
-                    resolve(body);
-                }
+                this.writeQueueReplayTimer = null;
+                this.replayWriteQueue();
             }
+            , this.writeQueueReplayInterval
         );
+
+        if ( isFunction(this.writeQueueReplayTimer.unref) ) {
+
+            this.writeQueueReplayTimer.unref();
+        }
     }
 
     /**
-     * Handles a redirect response from an HTTP request (307). Will cache the redirected
-     * header on the instance to prevent request duplication. Will attempt repeat
-     * of the original request after caching the redirect url.
+     * Stops the timer of the next periodic replay of the queued writes, if
+     * any.
      * @private
      * @memberof NestNetworkManager
-     * @method _handleRedirect
-     * @param {Object} response - the response from the WWN API.
-     * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
-     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
-     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @method _clearWriteQueueReplayTimer
      */
-    _handleRedirect ( response, repeatRequest, resolve, reject ) {
-        console.log("Got redirect, caching url..");
+    _clearWriteQueueReplayTimer ( ) {
 
-        this._cacheRedirectUrl( response.headers.location );
-        // repeat the request, the network manager will now
-        // use the redirect url
-        repeatRequest();
+        clearTimeout( this.writeQueueReplayTimer );
+        this.writeQueueReplayTimer = null;
     }
 
     /**
-     * Handles a blocked response from a HTTP request (429). Will log the response
-     * info and reject the associated promise.
+     * Schedules another attempt at a request if its response is a transient
+     * error and the retry policy allows it. The delay follows the backoff of
+     * the policy but is at least as long as requested by the service through
+     * a Retry-After header. Emits the requestRetry event for every attempt
+     * scheduled.
      * @private
      * @memberof NestNetworkManager
-     * @method _handleBlocked
-     * @param {Object} response - the response from the WWN API.
+     * @method _retryRequest
+     * @param {NestRequestContext} requestContext - the state of the request
+     * @param {Object} [response] - the response from the WWN API, if any
      * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
-     * @param {Function} resolve - the resolution function to the promise for the public-function request interface
-     * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @returns {Boolean} - whether another attempt has been scheduled
      */
-    _handleBlocked ( response, repeatRequest, resolve, reject ) {
+    _retryRequest ( requestContext, response, repeatRequest ) {
+
+        const statusCode = response ? response.statusCode : null;
+        var retryAfter;
+        var delay;
+
+        if ( !requestContext
+            || !includes(this.requestRetryPolicy.statusCodes, statusCode)
+            || !includes(this.requestRetryPolicy.idempotentMethods, requestContext.method)
+            || requestContext.attempts >= this.requestRetryPolicy.maxAttempts ) {
+
+            return false;
+        }
 
-        console.warn(
-            "REJECTED DUE TO RATE LIMITATIONS: the WWN API has reported"
-            , "that this client has reached its rate limits. Please retry this"
-            , "request at a later date"
+        delay = NestNetworkManagerUtils.calculateBackoffDelay(
+            requestContext.attempts
+            , this.requestRetryPolicy
         );
+        retryAfter = NestNetworkManagerUtils.parseRetryAfterHeader( response );
 
-        reject({
-            error: NETWORK_ERROR_EVENTS.UNDER_RATE_LIMITS
-            , response: response
-        });
+        if ( !isNull(retryAfter) ) {
+
+            delay = Math.max( delay, retryAfter );
+        }
+
+        this._emitRequestRetryEvent( requestContext, delay, statusCode );
+
+        requestContext.retryTimer = setTimeout(
+            () => {
+
+                requestContext.retryTimer = null;
+                requestContext.attempts += 1;
+                repeatRequest();
+            }
+            , delay
+        );
+
+        return true;
+    }
+
+    /**
+     * Cancels the pending retry of a request, if any.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _cancelRequestRetry
+     * @param {NestRequestContext|Null} requestContext
+     */
+    _cancelRequestRetry ( requestContext ) {
+
+        if ( requestContext && !isNull(requestContext.retryTimer) ) {
+
+            clearTimeout( requestContext.retryTimer );
+            requestContext.retryTimer = null;
+        }
     }
 
     /**
@@ -840,23 +3822,24 @@ class NestNetworkManager extends EventEmitter {
      * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
      * @param {Function} resolve - the resolution function to the promise for the public-function request interface
      * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the request
      */
-    _handleNotFound ( response, repeatRequest, resolve, reject ) {
+    _handleNotFound ( response, repeatRequest, resolve, reject, requestContext ) {
 
-        console.warn(
-            "NOT FOUND: the WWN API has reported that the requested path could"
-            , "not be found"
+        this.loggers.network.warn(
+            "The WWN API has reported that the requested path could not be found."
+            , { path: requestContext.path, statusCode: response.statusCode }
         );
 
-        reject({
-            error: NETWORK_ERROR_EVENTS.PATH_NOT_FOUND
-            , response: response
-        });
+        reject(
+            new NetworkManagerErrors.NotFound( response, requestContext.path )
+        );
     }
 
     /**
-     * Handles an internal error response from a HTTP request (500). Will log
-     * the response info and reject the associated promise.
+     * Handles an internal error response from a HTTP request (500), once the
+     * request retry policy has given up on the request. Will log the response
+     * info and reject the associated promise.
      * @private
      * @memberof NestNetworkManager
      * @method _handleInternalAPIError
@@ -864,24 +3847,25 @@ class NestNetworkManager extends EventEmitter {
      * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
      * @param {Function} resolve - the resolution function to the promise for the public-function request interface
      * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the request
      */
-    _handleInternalAPIError ( response, repeatRequest, resolve, reject ) {
+    _handleInternalAPIError ( response, repeatRequest, resolve, reject, requestContext ) {
 
-        console.error(
-            "INTERNAL ERROR: the WWN API has reported an internal server error (500)"
-            , "please review the request and re-attempt at a later point in time"
+        this.loggers.network.error(
+            "The WWN API has reported an internal server error."
+            , { path: requestContext.path, statusCode: response.statusCode }
         );
 
-        reject({
-            error: NETWORK_ERROR_EVENTS.API_INTERNAL_ERROR
-            , response: response
-        });
+        reject(
+            new NetworkManagerErrors.InternalAPIError( response, requestContext.path )
+        );
     }
 
     /**
      * Handles an auth error response from a HTTP request (401). Will log
-     * the response info, set the access token on the network manager instance
-     * to NULL and reject the associated promise.
+     * the response info, reject the associated promise, set the access token
+     * on the network manager instance to NULL, close the REST stream and emit
+     * the authTokenRevoked event.
      * @private
      * @memberof NestNetworkManager
      * @method _handleAuthError
@@ -889,19 +3873,23 @@ class NestNetworkManager extends EventEmitter {
      * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
      * @param {Function} resolve - the resolution function to the promise for the public-function request interface
      * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the request
      */
-    _handleAuthError ( response, repeatRequest, resolve, reject ) {
+    _handleAuthError ( response, repeatRequest, resolve, reject, requestContext ) {
 
-        console.error(
-            "AUTHENTICATION ERROR: the WWN API has reported that the provided"
-            , "token is invalid, please set a valid token an retry the request"
+        this.loggers.auth.error(
+            "The WWN API has reported that the access token is invalid."
+            , { path: requestContext.path, statusCode: response.statusCode }
         );
 
-        this.removeToken();
+        reject(
+            new NetworkManagerErrors.AuthError( response, requestContext.path )
+        );
 
-        reject({
-            error: NETWORK_ERROR_EVENTS.AUTH_ERROR
-            , response: response
+        this._invalidateAuthToken();
+        this._emitServiceAuthRevokedEvent({
+            event: NETWORK_ERROR_EVENTS.AUTH_ERROR
+            , response: NestRedaction.redactResponse( response )
         });
     }
 
@@ -915,23 +3903,24 @@ class NestNetworkManager extends EventEmitter {
      * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
      * @param {Function} resolve - the resolution function to the promise for the public-function request interface
      * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the request
      */
-    _handleForbidden ( response, repeatRequest, resolve, reject ) {
+    _handleForbidden ( response, repeatRequest, resolve, reject, requestContext ) {
 
-        console.error(
-            "FORBIDDEN: the WWN API has reported that the provided"
-            , "path is forbidden to this client. This request should not be repeated."
+        this.loggers.network.error(
+            "The WWN API has reported that the requested path is forbidden to this client."
+            , { path: requestContext.path, statusCode: response.statusCode }
         );
 
-        reject({
-            error: NETWORK_ERROR_EVENTS.FORBIDDEN
-            , response: response
-        });
+        reject(
+            new NetworkManagerErrors.Forbidden( response, requestContext.path )
+        );
     }
 
     /**
-     * Handles a service unavailable error response from a HTTP request (503).
-     * Will log the response info and reject the associated promise.
+     * Handles a service unavailable error response from a HTTP request (503),
+     * once the request retry policy has given up on the request. Will log the
+     * response info and reject the associated promise.
      * @private
      * @memberof NestNetworkManager
      * @method _handleServiceUnavailable
@@ -939,18 +3928,18 @@ class NestNetworkManager extends EventEmitter {
      * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
      * @param {Function} resolve - the resolution function to the promise for the public-function request interface
      * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the request
      */
-    _handleServiceUnavailable ( response, repeatRequest, resolve, reject ) {
+    _handleServiceUnavailable ( response, repeatRequest, resolve, reject, requestContext ) {
 
-        console.error(
-            "SERVICE UNAVAILABLE: the WWN API is not currently available"
-            , "to service client requests, please retry at a later time."
+        this.loggers.network.error(
+            "The WWN API is not currently available to service client requests."
+            , { path: requestContext.path, statusCode: response.statusCode }
         );
 
-        reject({
-            error: NETWORK_ERROR_EVENTS.SERVICE_UNAVAILABLE
-            , response: response
-        });
+        reject(
+            new NetworkManagerErrors.ServiceUnavailable( response, requestContext.path )
+        );
     }
 
     /**
@@ -958,55 +3947,57 @@ class NestNetworkManager extends EventEmitter {
      * Will log the response info and reject the associated promise.
      * @private
      * @memberof NestNetworkManager
-     * @method _handleServiceUnavailable
+     * @method _handleInvalidRequest
      * @param {Object} response - the response from the WWN API.
      * @param {Function} repeatRequest - A bound version of the invoking setup function, used to repeat the request
      * @param {Function} resolve - the resolution function to the promise for the public-function request interface
      * @param {Function} reject - the rejection function to the promise for the public-function request interface
+     * @param {NestRequestContext} requestContext - the state of the request
      */
-    _handleInvalidRequest ( response, repeatRequest, resolve, reject ) {
+    _handleInvalidRequest ( response, repeatRequest, resolve, reject, requestContext ) {
 
-        console.error(
-            "INVALID REQUEST: the WWN API has reported that the request"
-            , "made by this client was not valid. Please revise this request"
-            , "before repeating it."
+        this.loggers.network.error(
+            "The WWN API has reported that the request made by this client was not valid."
+            , { path: requestContext.path, statusCode: response.statusCode }
         );
 
-        var parsedResponseBody = {};
-
-        try {
-
-            parsedResponseBody = JSON.parse(response.body);
-        } catch ( e ) {
-
-            parsedResponseBody = {
-                unableToParseAPIError: true
-                , rawError: response.body
-                , parsingError: e
-            };
-        }
-
-        reject(parsedResponseBody);
+        // the error payload of the API is kept on the error
+        reject(
+            new NetworkManagerErrors.InvalidRequest( response, requestContext.path )
+        );
     }
 
     /**
      * Handles the Nest OAUTH2 pin flow, requesting an access token from
-     * the WWN API.
+     * the WWN API. The token is set on the instance and resolved along with
+     * its issue and expiry times so that the caller can persist them; the
+     * issue time is taken when the request is sent so that the expiry is
+     * never overestimated.
      * @public
      * @memberof NestNetworkManager
      * @method doOauth
      * @param {String} clientId
      * @param {String} clientSecret
      * @param {String} pinCode - the pin generated during the oauth flow from the WWN API
-     * @returns {RSVP.Promise} - a promise that will be resolved or rejected after the OAuth process is finished
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call
+     * @returns {RSVP.Promise} - a promise that will be resolved with the NestCredential or rejected after the OAuth process is finished; a refusal of the OAuth service is rejected with an OAuthError ( InvalidPinCode, ExpiredPinCode, InvalidClientCredentials, MalformedOAuthResponse )
      */
-    doOauth ( clientId, clientSecret, pinCode ) {
+    doOauth ( clientId, clientSecret, pinCode, requestOptions ) {
 
         return new RSVP.Promise (
             ( resolve, reject ) => {
 
+                const requestContext = this._createRequestContext( "POST" );
+
+                this._superviseRequest( requestContext, requestOptions, resolve, reject );
+
+                if ( requestContext.settled ) {
+
+                    return ;
+                }
+
                 var options = {
-                    url: "https://api.home.nest.com/oauth2/access_token"
+                    url: this.oauthUrl
                     , method: "POST"
                     , form: {
                         code: pinCode
@@ -1016,24 +4007,204 @@ class NestNetworkManager extends EventEmitter {
                     }
                 };
 
-                request(
+                const issuedAt = Date.now();
+
+                requestContext.url = options.url;
+                requestContext.request = this.transport.postForm(
                     options
                     , ( error, response, body ) => {
                         var parsedBody;
+                        var credential;
+
+                        requestContext.request = null;
+                        this.metricsCollector.recordResponse( error ? null : response );
+
+                        if ( requestContext.settled ) {
+
+                            return ;
+                        }
+
+                        if ( error ) {
+                            requestContext.reject(error);
+
+                            return ;
+                        }
+
+                        parsedBody = NestNetworkManagerUtils.parseStringIntoJsObject( body );
+
+                        if ( response.statusCode !== 200 ) {
+
+                            this.loggers.auth.warn(
+                                "The OAuth service has refused to issue an access token."
+                                , { statusCode: response.statusCode }
+                            );
+                            requestContext.reject(
+                                this._createOAuthError( response.statusCode, parsedBody )
+                            );
+
+                            return ;
+                        }
+
+                        if ( !isPlainObject(parsedBody) || !isString(parsedBody.access_token) ) {
+
+                            // never resolve, nor set, an undefined token
+                            requestContext.reject(
+                                new NetworkManagerErrors.MalformedOAuthResponse( response.statusCode )
+                            );
+
+                            return ;
+                        }
+
+                        this.loggers.auth.info( "Completed the authorization flow." );
+                        credential = {
+                            token: parsedBody.access_token
+                            , issuedAt: issuedAt
+                            , expiresAt: isFinite(parsedBody.expires_in)
+                                ? issuedAt + parsedBody.expires_in * 1000
+                                : null
+                        };
+                        this.setToken(credential);
+                        requestContext.resolve(credential);
+                    }
+                );
+            }
+        );
+    }
+
+    /**
+     * Creates the error matching a refused access token request. The OAuth
+     * service answers every refusal with an oauth2_error, telling them apart
+     * only through the description.
+     * @private
+     * @memberof NestNetworkManager
+     * @method _createOAuthError
+     * @param {Number} statusCode - the status code of the response
+     * @param {Object|Boolean} parsedBody - the parsed body of the response or FALSE if it is not JSON
+     * @returns {NetworkManagerErrors.OAuthError} - the OAuthError, or the more specific subclass, to reject the OAuth flow with
+     */
+    _createOAuthError ( statusCode, parsedBody ) {
+
+        var description;
+
+        if ( !isPlainObject(parsedBody) ) {
+
+            return new NetworkManagerErrors.MalformedOAuthResponse( statusCode );
+        }
+
+        description = isString(parsedBody.error_description) ? parsedBody.error_description : "";
+
+        if ( /code expired/i.test(description) ) {
+
+            return new NetworkManagerErrors.ExpiredPinCode( statusCode, description );
+        }
+
+        if ( /code not found/i.test(description) ) {
+
+            return new NetworkManagerErrors.InvalidPinCode( statusCode, description );
+        }
+
+        if ( statusCode === 401 || /client/i.test(description) ) {
+
+            return new NetworkManagerErrors.InvalidClientCredentials( statusCode, description );
+        }
+
+        return new NetworkManagerErrors.OAuthError( statusCode, description );
+    }
+
+    /**
+     * Revokes the access token with the OAuth service, ending the grant the
+     * user gave to the client, as opposed to removeToken which only forgets
+     * the token locally. The REST streams are closed ( resolving their
+     * promises ) before the token is revoked; once the service has revoked it
+     * the token is removed from the instance and pending writes are rejected
+     * with an AuthTokenRevoked error. Should the service refuse, the promise
+     * is rejected with a TokenRevocationFailed error and the token is kept so
+     * that the call can be retried. Whenever the token is kept, whether the
+     * revocation was refused, failed, timed out or was cancelled, the closed
+     * streams are opened again so that the account goes on being streamed.
+     * @public
+     * @memberof NestNetworkManager
+     * @method deauthorize
+     * @param {NestRequestOptions} [requestOptions] - the timeout and abort signal of the call
+     * @returns {RSVP.Promise} - a promise resolved once the token has been revoked
+     */
+    deauthorize ( requestOptions ) {
+
+        return new RSVP.Promise(
+            ( resolve, reject ) => {
+
+                if ( isNull(this.accessToken) ) {
+
+                    reject( new NetworkManagerErrors.NoTokenSetWhileMakingRequest() );
+
+                    return ;
+                }
+
+                const requestContext = this._createRequestContext( "DELETE" );
+                var closedStreams = {};
+
+                this._superviseRequest(
+                    requestContext
+                    , requestOptions
+                    , resolve
+                    , ( error ) => {
+
+                        this._restoreServiceStreams( closedStreams );
+                        reject( error );
+                    }
+                );
+
+                if ( requestContext.settled ) {
+
+                    return ;
+                }
+
+                // closed first so that the revocation is not reported on the
+                // streams as if the token had been revoked elsewhere; they are
+                // restored should the token be kept
+                closedStreams = this._getServiceStreamRequestOptions();
+                this.closeServiceStreams();
+
+                // the url carries the token, so it is not recorded on the
+                // request context where it would show in error messages
+                requestContext.request = this.transport.delete(
+                    NestNetworkManagerUtils.generateTokenRevocationRequestOptions(
+                        this.tokenRevocationUrl
+                        , this.accessToken
+                    )
+                    , ( error, response ) => {
+
+                        requestContext.request = null;
+                        this.metricsCollector.recordResponse( error ? null : response );
+
+                        if ( requestContext.settled ) {
+
+                            return ;
+                        }
 
                         if ( error ) {
-                            reject(error);
+
+                            requestContext.reject( error );
 
                             return ;
-                        } else {
-                            parsedBody = JSON.parse(body);
-                            console.log(
-                                "Successfully completed authorization flow");
-                            this.setToken(parsedBody.access_token);
-                            resolve({token: parsedBody.access_token});
+                        }
+
+                        if ( !includes(TOKEN_REVOCATION_SUCCESS_STATUS_CODES, response.statusCode) ) {
+
+                            this.loggers.auth.warn(
+                                "The OAuth service has refused to revoke the access token."
+                                , { statusCode: response.statusCode }
+                            );
+                            requestContext.reject(
+                                new NetworkManagerErrors.TokenRevocationFailed( response.statusCode )
+                            );
 
                             return ;
                         }
+
+                        this.loggers.auth.info( "Revoked the access token." );
+                        this._invalidateAuthToken();
+                        requestContext.resolve();
                     }
                 );
             }
@@ -1051,16 +4222,175 @@ class NestNetworkManager extends EventEmitter {
 
 /**
  * serviceStreamClosed event, used to indicate that the network manager
- * has had its REST stream closed.
+ * has had one of its REST streams closed. Listeners receive the network
+ * manager instance and the path of the closed stream.
  *
  * @event NestNetworkManager#serviceStreamClosed
 */
 
+/**
+ * serviceStreamStale event, used to indicate that the network manager has
+ * not received anything on its REST stream, not even a keep-alive, within the
+ * watchdog timeout and is tearing the stream down.
+ *
+ * @event NestNetworkManager#serviceStreamStale
+ * @type {Object} - the path of the stream, the time (ms since epoch) of its last activity and the watchdog timeout
+ */
+
+/**
+ * serviceStreamReconnecting event, used to indicate that the network manager
+ * has scheduled an attempt to automatically reconnect its REST stream.
+ *
+ * @event NestNetworkManager#serviceStreamReconnecting
+ * @type {Object} - the path of the stream, the attempt number, the delay (ms) before the attempt and the status code which ended the previous stream
+ */
+
+/**
+ * serviceStreamReconnected event, used to indicate that the network manager
+ * has automatically re-established its REST stream.
+ *
+ * @event NestNetworkManager#serviceStreamReconnected
+ * @type {Object} - the path of the stream and the number of attempts it took to reconnect
+ */
+
+/**
+ * serviceStreamReconnectGaveUp event, used to indicate that the network manager
+ * has stopped trying to automatically reconnect its REST stream.
+ *
+ * @event NestNetworkManager#serviceStreamReconnectGaveUp
+ * @type {Object} - the path of the stream, the number of attempts made and the status code which ended the last stream, if any
+ */
+
+/**
+ * rateLimitationChanged event, used to indicate that the WWN API has started
+ * or stopped rate limiting the network manager.
+ *
+ * @event NestNetworkManager#rateLimitationChanged
+ * @type {Object} - the state of the request scheduler: isUnderRateLimitation, blockedUntil, queueDepth and availableTokens
+ */
+
+/**
+ * requestRetry event, used to indicate that the network manager will make
+ * another attempt at a request which failed with a transient error.
+ *
+ * @event NestNetworkManager#requestRetry
+ * @type {Object} - the method and url of the request, the number of the upcoming attempt, the maximum number of attempts, the delay (ms) before the attempt and the status code of the failed attempt
+ */
+
+/**
+ * tokenExpiring event, used to indicate that the token of the network manager
+ * will expire within the warning period and should be renewed through the
+ * OAuth flow.
+ *
+ * @event NestNetworkManager#tokenExpiring
+ * @type {Object} - the issue and expiry times (ms since epoch) of the token and the time (ms) remaining until it expires
+ */
+
+/**
+ * tokenExpired event, used to indicate that the token of the network manager
+ * has expired; requests made with it will be refused by the WWN API.
+ *
+ * @event NestNetworkManager#tokenExpired
+ * @type {Object} - the issue and expiry times (ms since epoch) of the token
+ */
+
+/**
+ * metrics event, emitted periodically while it has listeners with the
+ * runtime metrics of the network manager.
+ *
+ * @event NestNetworkManager#metrics
+ * @type {NestMetrics} - a snapshot of the metrics, see getMetrics
+ */
+
+/**
+ * writeQueued event, used to indicate that a write has been held by the
+ * offline write queue since the WWN API could not be reached.
+ *
+ * @event NestNetworkManager#writeQueued
+ * @type {Object} - the entry ( NestQueuedWrite ) holding the write and the error the write failed with, null if it was queued behind earlier writes
+ */
+
+/**
+ * writeReplayed event, used to report the outcome of a write replayed from
+ * the offline write queue.
+ *
+ * @event NestNetworkManager#writeReplayed
+ * @type {NestWriteReplayOutcome}
+ */
+
 /**
  * authTokenRevoked event, used to indicate that the network manager
  * has had its authToken revoked, meaning its stream will also be closed (if applicable)
  *
- * @event NestNetworkManager#serviceStreamClosed
+ * @event NestNetworkManager#authTokenRevoked
+ * @type {Object} - the auth_revoked stream event container or an object holding a redacted snapshot ( statusCode, headers, body ) of the 401 response
 */
 
+/**
+ * The outcome of a write replayed from the offline write queue.
+ *
+ * @typedef {Object} NestWriteReplayOutcome
+ * @property {NestQueuedWrite} entry - the replayed write
+ * @property {String} outcome - succeeded or failed
+ * @property {Error|Null} error - the error the WWN API refused the write with; null if it succeeded
+ */
+
+/**
+ * The state kept by the network manager for the REST stream of one scope.
+ *
+ * @typedef {Object} NestServiceStreamContext
+ * @property {String} scope - the normalized path the stream subscribes to
+ * @property {Object|Null} request - the ongoing request of the stream; null while waiting to be reconnected
+ * @property {Function|Null} resolve - the resolution function to the promise of the ongoing stream
+ * @property {Function|Null} reject - the rejection function to the promise of the ongoing stream
+ * @property {NestServiceStreamParser} parser - the incremental decoder used to frame events received on the stream
+ * @property {Function} dataListener - a bound instance of the _determineStreamUpdateType function, created once to prevent eventEmitter leaks
+ * @property {Object|Null} watchdogTimer - the timer which fires when the stream becomes stale
+ * @property {Number|Null} lastActivity - the time (ms since epoch) at which data, including keep-alives, was last received on the stream
+ * @property {Number} reconnectAttempts - the number of reconnect attempts made since the stream was last established
+ * @property {Object|Null} reconnectTimer - the timer of the pending reconnect attempt; null if no attempt is pending
+ * @property {NestRequestContext|Null} requestContext - the state of the request opening the stream across its attempts
+ * @property {NestRequestOptions} requestOptions - the timeout and abort signal of the call which started the stream, also applied to reconnects
+ */
+
+/**
+ * The state kept by the network manager for a request across its attempts.
+ *
+ * @typedef {Object} NestRequestContext
+ * @property {String} method - the HTTP method of the request
+ * @property {String|Null} url - the url of the latest attempt
+ * @property {Number} attempts - the number of attempts made so far, including the ongoing one
+ * @property {Object|Null} retryTimer - the timer of the pending retry; null if no retry is pending
+ * @property {Object|Null} request - the ongoing request handle of the transport; null between attempts
+ * @property {Function|Null} resolve - settles the call once, see _superviseRequest
+ * @property {Function|Null} reject - settles the call once, see _superviseRequest
+ * @property {Boolean} settled - whether the promise of the call has been settled
+ * @property {Object|Null} timeoutTimer - the timer which fires when the call times out
+ * @property {AbortSignal|Null} signal - the abort signal of the call, while it is listened to
+ * @property {Function|Null} abortListener - the listener on the abort signal of the call
+ * @property {String|Null} path - the normalized data path of the request
+ * @property {String|Null} redirectPath - the path of the cached redirect the latest attempt was sent through; null if it was sent to the root WWN API url
+ * @property {String|Null} redirectOrigin - the protocol and host the request was last redirected to; null until it is redirected
+ * @property {Number} redirects - the number of redirects followed so far
+ */
+
+/**
+ * An access token along with the times it was issued and expires at, as
+ * resolved by the OAuth flow; suitable for persisting.
+ *
+ * @typedef {Object} NestCredential
+ * @property {String} token - the WWN API OAUTH2 access token
+ * @property {Number|Null} [issuedAt] - the time (ms since epoch) at which the token was issued
+ * @property {Number|Null} [expiresAt] - the time (ms since epoch) at which the token expires
+ */
+
+/**
+ * The per-call options accepted by the public request methods of the
+ * network manager.
+ *
+ * @typedef {Object} NestRequestOptions
+ * @property {Number} [timeout] - the time (ms) after which the call is abandoned with a RequestTimedOut error; overrides the instance default, 0 disables the timeout
+ * @property {AbortSignal} [signal] - a signal ( e.g. of an AbortController ) which cancels the call with a RequestCancelled error when aborted
+ */
+
 module.exports = NestNetworkManager;
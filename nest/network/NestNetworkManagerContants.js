@@ -1,14 +1,29 @@
 'use strict';
 
 module.exports = {
-    EMITABLE_EVENTS: {
+    DEFAULT_API_URL: "https://developer-api.nest.com"
+    , DEFAULT_OAUTH_URL: "https://api.home.nest.com/oauth2/access_token"
+    , DEFAULT_TOKEN_REVOCATION_URL: "https://api.home.nest.com/oauth2/access_tokens"
+    , EMITABLE_EVENTS: {
         "serviceStreamDataUpdate": "serviceStreamDataUpdate"
         , "serviceStreamClosed": "serviceStreamClosed"
         , "authTokenRevoked": "authTokenRevoked"
+        , "serviceStreamReconnecting": "serviceStreamReconnecting"
+        , "serviceStreamReconnected": "serviceStreamReconnected"
+        , "serviceStreamReconnectGaveUp": "serviceStreamReconnectGaveUp"
+        , "serviceStreamStale": "serviceStreamStale"
+        , "rateLimitationChanged": "rateLimitationChanged"
+        , "requestRetry": "requestRetry"
+        , "tokenExpiring": "tokenExpiring"
+        , "tokenExpired": "tokenExpired"
+        , "metrics": "metrics"
+        , "writeQueued": "writeQueued"
+        , "writeReplayed": "writeReplayed"
     }
     , NETWORK_STREAM_EVENTS: {
         "auth_revoked": "auth_revoked"
         , "put": "put"
+        , "patch": "patch"
         , "keep_alive": "keep-alive"
     }
     , NETWORK_ERROR_EVENTS: {
@@ -18,5 +33,66 @@ module.exports = {
         , "AUTH_ERROR": "AUTH_ERROR"
         , "FORBIDDEN": "FORBIDDEN"
         , "SERVICE_UNAVAILABLE": "SERVICE_UNAVAILABLE"
+        , "INVALID_REQUEST": "INVALID_REQUEST"
+        , "STREAM_ALREADY_ACTIVE": "STREAM_ALREADY_ACTIVE"
+    }
+    , DEFAULT_STREAM_RECONNECT_POLICY: {
+        "initialDelay": 1000
+        , "maxDelay": 300000
+        , "multiplier": 2
+        , "jitter": 0.25
+        , "maxAttempts": 10
+    }
+    , DEFAULT_STREAM_WATCHDOG_TIMEOUT: 60000
+    , STREAM_RECONNECT_DENIED_STATUS_CODES: [ 401, 403 ]
+    , STREAM_RECONNECT_RATE_LIMITED_STATUS_CODE: 429
+    , DEFAULT_REQUEST_TIMEOUT: 30000
+    , DEFAULT_REQUEST_RETRY_POLICY: {
+        "maxAttempts": 3
+        , "initialDelay": 1000
+        , "maxDelay": 30000
+        , "multiplier": 2
+        , "jitter": 0.25
+        , "statusCodes": [ 500, 503 ]
+        , "idempotentMethods": [ "GET", "PUT" ]
+    }
+    , STRUCTURE_WRITABLE_FIELDS: {
+        "away": [ "home", "away" ]
+    }
+    , RATE_LIMIT_BLOCKED_BEHAVIOURS: {
+        "queue": "queue"
+        , "reject": "reject"
+    }
+    , TOKEN_REVOCATION_SUCCESS_STATUS_CODES: [ 200, 204 ]
+    , DEFAULT_TOKEN_EXPIRY_WARNING_PERIOD: 604800000
+    , MAX_TIMER_DELAY: 2147483647
+    , DEFAULT_REDIRECT_CACHE_TTL: 3600000
+    , MAX_REQUEST_REDIRECTS: 5
+    , DEFAULT_RATE_LIMIT_POLICY: {
+        "bucketSize": 10
+        , "refillInterval": 3000
+        , "whenBlocked": "queue"
+        , "maxQueueSize": 100
+        , "defaultBlockDuration": 60000
+    }
+    , DEFAULT_METRICS_INTERVAL: 60000
+    , PUT_LATENCY_HISTOGRAM_BOUNDS: [ 50, 100, 250, 500, 1000, 2500, 5000, 10000 ]
+    , DEFAULT_WRITE_QUEUE_REPLAY_INTERVAL: 30000
+    , CONNECTION_ERROR_CODES: [
+        "ECONNREFUSED"
+        , "ECONNRESET"
+        , "ECONNABORTED"
+        , "ENOTFOUND"
+        , "EAI_AGAIN"
+        , "ETIMEDOUT"
+        , "ESOCKETTIMEDOUT"
+        , "ENETUNREACH"
+        , "ENETDOWN"
+        , "EHOSTUNREACH"
+        , "EPIPE"
+    ]
+    , WRITE_REPLAY_OUTCOMES: {
+        "succeeded": "succeeded"
+        , "failed": "failed"
     }
 };
@@ -1,55 +1,186 @@
 'use strict';
 
 const isString = require('lodash').isString;
+const isArray = require('lodash').isArray;
+const uniq = require('lodash').uniq;
+const isFinite = require('lodash').isFinite;
+const random = require('lodash').random;
+
+/**
+ * Normalizes a WWN API data path so that equivalent paths compare equal:
+ * the result always starts with a slash and never ends with one, except
+ * for the account root which is '/'.
+ * @function
+ * @name normalizeStreamScope
+ * @param {String} scope - the data path to normalize ( e.g. devices/thermostats/<id>/ )
+ * @returns {String} - the normalized path ( e.g. /devices/thermostats/<id> )
+ */
+function normalizeStreamScope ( scope ) {
+
+    const segments = String(scope || "/").split("/").filter(
+        ( segment ) => segment.length > 0
+    );
+
+    return "/" + segments.join("/");
+}
+
+/**
+ * Normalizes the scopes given to a stream request, removing duplicates.
+ * Defaults to the account root when no scope is given.
+ * @function
+ * @name normalizeStreamScopes
+ * @param {String|Array<String>} [scopes] - one or more data paths
+ * @returns {Array<String>} - the unique normalized paths
+ */
+function normalizeStreamScopes ( scopes ) {
+
+    const scopeList = isArray(scopes) ? scopes : [ scopes ];
+
+    return uniq( scopeList.map( normalizeStreamScope ) );
+}
 
 /**
  * Generates a URL used for the HTTP REST-STREAMING method for
- * streaming changes on the account root.
+ * streaming changes on the given scope of the account.
  * @function
  * @name generateSubscribeUrl
  * @param {String} baseUrl - the base url of the target API
- * @returns {String} - the fully formed root streaming url
+ * @param {String} [scope] - the normalized path to stream; the account root if omitted
+ * @returns {String} - the fully formed streaming url
  */
-function generateSubscribeUrl ( baseUrl ) {
+function generateSubscribeUrl ( baseUrl, scope ) {
+
+    if ( !isString(scope) || scope === "/" ) {
 
-    return baseUrl;
+        return baseUrl;
+    }
+
+    return baseUrl + scope;
 }
 
 /**
- * Generates a URL used for the HTTP PUT method for updating devices.
+ * Generates the URL of a device, used for the HTTP PUT method for updating
+ * several fields of the device at once.
  * @function
- * @name generateDeviceUpdatePutUrl
+ * @name generateDevicePutUrl
  * @param {String} baseUrl - the base url of the target API
  * @param {String} deviceId - the WWN device id
  * @param {String} deviceType - the WWN device type ( thermostat, camera )
- * @param {String} keyToUpdate - the target key to update ( e.g. target_temperature_c )
  * @returns {String} - the fully formed PUT url
  */
-function generateDeviceUpdatePutUrl ( baseUrl, deviceId, deviceType, keyToUpdate ) {
+function generateDevicePutUrl ( baseUrl, deviceId, deviceType ) {
 
     return [
         baseUrl
         , "devices"
         , deviceType
         , deviceId
+    ].join("/");
+}
+
+/**
+ * Generates a URL used for the HTTP PUT method for updating devices.
+ * @function
+ * @name generateDeviceUpdatePutUrl
+ * @param {String} baseUrl - the base url of the target API
+ * @param {String} deviceId - the WWN device id
+ * @param {String} deviceType - the WWN device type ( thermostat, camera )
+ * @param {String} keyToUpdate - the target key to update ( e.g. target_temperature_c )
+ * @returns {String} - the fully formed PUT url
+ */
+function generateDeviceUpdatePutUrl ( baseUrl, deviceId, deviceType, keyToUpdate ) {
+
+    return [
+        generateDevicePutUrl( baseUrl, deviceId, deviceType )
         , keyToUpdate
     ].join("/");
 }
 
+/**
+ * Generates the URL of a structure, used for the HTTP PUT method for
+ * updating structures.
+ * @function
+ * @name generateStructurePutUrl
+ * @param {String} baseUrl - the base url of the target API
+ * @param {String} structureId - the WWN structure id
+ * @returns {String} - the fully formed PUT url
+ */
+function generateStructurePutUrl ( baseUrl, structureId ) {
+
+    return [
+        baseUrl
+        , "structures"
+        , structureId
+    ].join("/");
+}
+
+/**
+ * Generates the URL of the write-only ETA object of a structure.
+ * @function
+ * @name generateStructureEtaPutUrl
+ * @param {String} baseUrl - the base url of the target API
+ * @param {String} structureId - the WWN structure id
+ * @returns {String} - the fully formed PUT url
+ */
+function generateStructureEtaPutUrl ( baseUrl, structureId ) {
+
+    return [
+        generateStructurePutUrl( baseUrl, structureId )
+        , "eta"
+    ].join("/");
+}
+
+/**
+ * Generates the URL an access token is revoked at. The tokens issued by the
+ * OAUTH2 pin flow form a collection each token is a member of
+ * ( e.g. https://api.home.nest.com/oauth2/access_tokens/<token> ).
+ * @function
+ * @name generateTokenRevocationUrl
+ * @param {String} tokenRevocationUrl - the url of the access token collection, without a trailing slash
+ * @param {String} accessToken - the token to revoke
+ * @returns {String} - the fully formed DELETE url
+ */
+function generateTokenRevocationUrl ( tokenRevocationUrl, accessToken ) {
+
+    return [
+        tokenRevocationUrl
+        , encodeURIComponent( accessToken )
+    ].join("/");
+}
+
+/**
+ * Generates an identifier for a trip towards a structure. The WWN API
+ * relates ETA updates carrying the same trip id, so an id has to be kept
+ * for the lifetime of a trip and a new one made for the next trip.
+ * @function
+ * @name generateEtaTripId
+ * @returns {String} - a trip id unique to this client ( e.g. trip-jn2x5t0k-4fzyo82mvyr )
+ */
+function generateEtaTripId ( ) {
+
+    return [
+        "trip"
+        , Date.now().toString(36)
+        , random(0, Number.MAX_SAFE_INTEGER).toString(36)
+    ].join("-");
+}
+
 /**
  * Generates an options object which is used with the request library to
- * facilitate a REST stream request against the WWN API for an account.
+ * facilitate a REST stream request against the WWN API for an account or
+ * a scope of an account.
  * @function
  * @name generateServiceStreamRequestOptions
  * @param {String} baseUrl - the base url of the target API
  * @param {String} accessToken - the users token for use with the WWN API
+ * @param {String} [scope] - the normalized path to stream; the account root if omitted
  * @returns {Object} - the options object used by the node request library
  */
-function generateServiceStreamRequestOptions ( baseUrl, accessToken ) {
+function generateServiceStreamRequestOptions ( baseUrl, accessToken, scope ) {
 
     return {
-        url: generateSubscribeUrl( baseUrl )
-        , followRedirect: true
+        url: generateSubscribeUrl( baseUrl, scope )
+        , followRedirect: false
         , removeRefererHeader: false
         , headers: {
             'Accept': 'text/event-stream'
@@ -82,7 +213,7 @@ function generateDeviceUpdateRequestOptions ( baseUrl, accessToken, deviceData,
             , keyToUpdate
         )
         , method: "PUT"
-        , followRedirect: true
+        , followRedirect: false
         , removeRefererHeader: false
         , headers: {
             'Content-Type':  'text'
@@ -93,6 +224,120 @@ function generateDeviceUpdateRequestOptions ( baseUrl, accessToken, deviceData,
     };
 }
 
+/**
+ * Generates an options object which is used with the request library to
+ * facilitate a single PUT request against the WWN API updating several
+ * fields of a given device. The fields are sent as a JSON body so that the
+ * types of their values are preserved.
+ * @function
+ * @name generateDeviceFieldsUpdateRequestOptions
+ * @param {String} baseUrl - the base url of the target API
+ * @param {String} accessToken - the users token for use with the WWN API
+ * @param {Object} deviceData - the device object ( returned by the representation manager )
+ * @param {Object} fields - the values to update keyed by field ( e.g. { hvac_mode: "heat-cool", target_temperature_low_f: 66 } )
+ * @returns {Object} - the options object used by the node request library
+ */
+function generateDeviceFieldsUpdateRequestOptions ( baseUrl, accessToken, deviceData, fields ) {
+
+    return {
+        url: generateDevicePutUrl(
+            baseUrl
+            , deviceData.device_id
+            , deviceData._deviceType
+        )
+        , method: "PUT"
+        , followRedirect: false
+        , removeRefererHeader: false
+        , headers: {
+            'Content-Type':  'application/json'
+            , 'User-Agent':    'Nest Codelab API'
+            , "Authorization": [ "Bearer", accessToken ].join(" ")
+        }
+        , body: JSON.stringify( fields )
+    };
+}
+
+/**
+ * Generates an options object which is used with the request library to
+ * facilitate a single PUT request against the WWN API updating several
+ * fields of a given structure, sent as a JSON body.
+ * @function
+ * @name generateStructureUpdateRequestOptions
+ * @param {String} baseUrl - the base url of the target API
+ * @param {String} accessToken - the users token for use with the WWN API
+ * @param {Object} structureData - the structure object ( returned by the representation manager )
+ * @param {Object} fields - the values to update keyed by field ( e.g. { away: "away" } )
+ * @returns {Object} - the options object used by the node request library
+ */
+function generateStructureUpdateRequestOptions ( baseUrl, accessToken, structureData, fields ) {
+
+    return {
+        url: generateStructurePutUrl(
+            baseUrl
+            , structureData.structure_id
+        )
+        , method: "PUT"
+        , followRedirect: false
+        , removeRefererHeader: false
+        , headers: {
+            'Content-Type':  'application/json'
+            , 'User-Agent':    'Nest Codelab API'
+            , "Authorization": [ "Bearer", accessToken ].join(" ")
+        }
+        , body: JSON.stringify( fields )
+    };
+}
+
+/**
+ * Generates an options object which is used with the request library to
+ * facilitate a PUT request against the WWN API setting the ETA of a given
+ * structure.
+ * @function
+ * @name generateStructureEtaRequestOptions
+ * @param {String} baseUrl - the base url of the target API
+ * @param {String} accessToken - the users token for use with the WWN API
+ * @param {Object} structureData - the structure object ( returned by the representation manager )
+ * @param {Object} eta - the ETA object ( trip_id, estimated_arrival_window_begin, estimated_arrival_window_end )
+ * @returns {Object} - the options object used by the node request library
+ */
+function generateStructureEtaRequestOptions ( baseUrl, accessToken, structureData, eta ) {
+
+    return {
+        url: generateStructureEtaPutUrl(
+            baseUrl
+            , structureData.structure_id
+        )
+        , method: "PUT"
+        , followRedirect: false
+        , removeRefererHeader: false
+        , headers: {
+            'Content-Type':  'application/json'
+            , 'User-Agent':    'Nest Codelab API'
+            , "Authorization": [ "Bearer", accessToken ].join(" ")
+        }
+        , body: JSON.stringify( eta )
+    };
+}
+
+/**
+ * Generates an options object which is used with the request library to
+ * facilitate a DELETE request revoking an access token, ending the grant
+ * the user gave to the client.
+ * @function
+ * @name generateTokenRevocationRequestOptions
+ * @param {String} tokenRevocationUrl - the url of the access token collection, without a trailing slash
+ * @param {String} accessToken - the token to revoke
+ * @returns {Object} - the options object used by the node request library
+ */
+function generateTokenRevocationRequestOptions ( tokenRevocationUrl, accessToken ) {
+
+    return {
+        url: generateTokenRevocationUrl( tokenRevocationUrl, accessToken )
+        , method: "DELETE"
+        , followRedirect: false
+    };
+}
+
 /**
  * Attempts to parse the given string into a JS object. Will catch any
  * errors found in decoding and return FALSE if the parsing fails.
@@ -118,51 +363,87 @@ function parseStringIntoJsObject ( body ) {
 }
 
 /**
- * Splits a string across the '\n' char.
+ * Calculates the delay before the given attempt of an exponential backoff,
+ * capped by the policy maximum and spread by a random jitter so that many
+ * clients do not retry in lockstep.
  * @function
- * @name splitStringByNewlines
- * @param {String} body - the string to be parsed into a JS object
- * @returns {Array} - the string split across the '\n' char
+ * @name calculateBackoffDelay
+ * @param {Number} attempt - the attempt the delay is calculated for, starting at 1
+ * @param {Object} policy - the backoff policy
+ * @param {Number} policy.initialDelay - the delay (ms) before the first attempt
+ * @param {Number} policy.maxDelay - the maximum delay (ms) before any attempt
+ * @param {Number} policy.multiplier - the factor the delay grows by after each attempt
+ * @param {Number} policy.jitter - the fraction ( 0 to 1 ) of the delay which may be randomly added or removed
+ * @returns {Number} - the delay in milliseconds
  */
-function splitStringByNewlines ( body ) {
+function calculateBackoffDelay ( attempt, policy ) {
+
+    const exponentialDelay = Math.min(
+        policy.maxDelay
+        , policy.initialDelay * Math.pow( policy.multiplier, Math.max(attempt - 1, 0) )
+    );
+    const jitterRange = exponentialDelay * policy.jitter;
 
-    return body.split("\n");
+    return Math.max(
+        0
+        , Math.round( exponentialDelay + random(-jitterRange, jitterRange, true) )
+    );
 }
 
 /**
- * Extracts the event type from a REST stream update string
+ * Returns the protocol and host of the given url, e.g. of the target of a
+ * redirect.
  * @function
- * @name extractStreamUpdateEventType
- * @param {Array} splitBody - an array of string split on '\n'
- * @returns {String} - the event type inside the body
+ * @name parseUrlOrigin
+ * @param {String} url - a fully formed url
+ * @returns {String} - the origin ( e.g. https://firebase-apiserver.example.com:9553 )
  */
-function extractStreamUpdateEventType ( splitBody ) {
+function parseUrlOrigin ( url ) {
 
-    return splitBody[0].split(":")[1].trim();
+    // e.g. [ "https:", "", "firebase-apiserver.example.com:9553", ... ]
+    return url.split("/").slice(0, 3).join("/");
 }
 
 /**
- * Extracts and attempts to parse the JSON body of a REST stream update string
+ * Reads the Retry-After header of a response, which can be given either as
+ * a number of seconds or as an HTTP date.
  * @function
- * @name extractAndParseStreamUpdateEventBody
- * @param {Array} splitBody - an array of string split on '\n'
- * @returns {Object} - the raw string and the attempted processing of the data string
+ * @name parseRetryAfterHeader
+ * @param {Object} response - the response from the WWN API
+ * @returns {Number|Null} - the delay requested by the service in milliseconds or null if none was given
  */
-function extractAndParseStreamUpdateEventBody ( splitBody ) {
+function parseRetryAfterHeader ( response ) {
 
-    const dataBodyString = splitBody[1].split("data:")[1].trim();
+    const headerValue = response && response.headers ? response.headers['retry-after'] : undefined;
+    var retryDate;
 
-    return {
-        raw: dataBodyString
-        , parsed: parseStringIntoJsObject( dataBodyString )
-    };
+    if ( !isString(headerValue) || headerValue.trim() === "" ) {
+
+        return null;
+    }
+
+    if ( /^\d+$/.test(headerValue.trim()) ) {
+
+        return parseInt(headerValue.trim(), 10) * 1000;
+    }
+
+    retryDate = Date.parse(headerValue);
+
+    return isFinite(retryDate) ? Math.max( retryDate - Date.now(), 0 ) : null;
 }
 
 module.exports = {
-    generateServiceStreamRequestOptions
+    normalizeStreamScope
+    , normalizeStreamScopes
+    , generateServiceStreamRequestOptions
     , generateDeviceUpdateRequestOptions
+    , generateDeviceFieldsUpdateRequestOptions
+    , generateStructureUpdateRequestOptions
+    , generateStructureEtaRequestOptions
+    , generateTokenRevocationRequestOptions
+    , generateEtaTripId
     , parseStringIntoJsObject
-    , extractStreamUpdateEventType
-    , extractAndParseStreamUpdateEventBody
-    , splitStringByNewlines
+    , calculateBackoffDelay
+    , parseUrlOrigin
+    , parseRetryAfterHeader
 };
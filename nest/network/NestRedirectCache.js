@@ -0,0 +1,145 @@
+'use strict';
+
+// IMPORTS: NODE.JS THIRD-PARTY
+const has = require('lodash').has;
+const isUndefined = require('lodash').isUndefined;
+const isString = require('lodash').isString;
+
+// IMPORTS: NEST RESOURCES
+const NestNetworkManagerUtils = require('./NestNetworkManagerUtils');
+const DEFAULT_REDIRECT_CACHE_TTL = require('./NestNetworkManagerContants').DEFAULT_REDIRECT_CACHE_TTL;
+
+/**
+ * Remembers the hosts the WWN API has redirected requests to, so that later
+ * requests go to the right host directly instead of being redirected again.
+ * The WWN API redirects an account to the host serving its data, so a
+ * redirect learnt for a path holds for that path and every path below it.
+ * Entries expire since the service may move an account to another host.
+ * @class NestRedirectCache
+ * @property {Number} ttl - the time (ms) a redirect is remembered for; 0 disables the cache
+ * @property {Object<Object>} entries - the cached redirects keyed by normalized path, each holding the origin redirected to and its expiry (ms since epoch)
+ */
+class NestRedirectCache {
+
+    /**
+     * @constructor
+     * @param {Number} [ttl] - the time (ms) a redirect is remembered for; defaults to an hour
+     */
+    constructor ( ttl ) {
+
+        this.ttl = isUndefined(ttl) ? DEFAULT_REDIRECT_CACHE_TTL : ttl;
+        this.entries = {};
+    }
+
+    /**
+     * Sets the time a redirect is remembered for. Redirects which are already
+     * cached keep their expiry.
+     * @public
+     * @memberof NestRedirectCache
+     * @method setTtl
+     * @param {Number} ttl - the time (ms); 0 disables the cache
+     * @returns {NestRedirectCache} - the cache instance so that calls can be chained
+     */
+    setTtl ( ttl ) {
+
+        this.ttl = ttl;
+
+        return this;
+    }
+
+    /**
+     * Finds the redirect which applies to the given path: the one cached for
+     * the path itself or else for the closest path above it. Expired entries
+     * met on the way are dropped.
+     * @public
+     * @memberof NestRedirectCache
+     * @method lookup
+     * @param {String} path - the data path of the request ( e.g. /devices/thermostats/<id> )
+     * @returns {Object|Null} - the path the redirect was cached for and the origin to use, or null if no redirect applies
+     */
+    lookup ( path ) {
+
+        const segments = NestNetworkManagerUtils.normalizeStreamScope( path ).split("/");
+        var candidatePath;
+
+        while ( segments.length > 0 ) {
+
+            candidatePath = segments.join("/") || "/";
+
+            if ( has( this.entries, candidatePath ) ) {
+
+                if ( this.entries[candidatePath].expiresAt > Date.now() ) {
+
+                    return {
+                        path: candidatePath
+                        , origin: this.entries[candidatePath].origin
+                    };
+                }
+
+                delete this.entries[candidatePath];
+            }
+
+            segments.pop();
+        }
+
+        return null;
+    }
+
+    /**
+     * Caches the target of a redirect for the given path. Only the protocol
+     * and host of the target are kept; a redirect without a target is not
+     * cached.
+     * @public
+     * @memberof NestRedirectCache
+     * @method store
+     * @param {String} path - the data path of the redirected request
+     * @param {String} location - the url the request was redirected to
+     * @returns {NestRedirectCache} - the cache instance so that calls can be chained
+     */
+    store ( path, location ) {
+
+        if ( this.ttl <= 0 || !isString(location) ) {
+
+            return this;
+        }
+
+        this.entries[NestNetworkManagerUtils.normalizeStreamScope( path )] = {
+            origin: NestNetworkManagerUtils.parseUrlOrigin( location )
+            , expiresAt: Date.now() + this.ttl
+        };
+
+        return this;
+    }
+
+    /**
+     * Forgets the redirect cached for the given path, e.g. once its host can
+     * no longer be reached.
+     * @public
+     * @memberof NestRedirectCache
+     * @method remove
+     * @param {String} path - the path the redirect was cached for
+     * @returns {NestRedirectCache} - the cache instance so that calls can be chained
+     */
+    remove ( path ) {
+
+        delete this.entries[NestNetworkManagerUtils.normalizeStreamScope( path )];
+
+        return this;
+    }
+
+    /**
+     * Forgets every cached redirect.
+     * @public
+     * @memberof NestRedirectCache
+     * @method clear
+     * @returns {NestRedirectCache} - the cache instance so that calls can be chained
+     */
+    clear ( ) {
+
+        this.entries = {};
+
+        return this;
+    }
+}
+
+module.exports = NestRedirectCache;
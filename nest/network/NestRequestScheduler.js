@@ -0,0 +1,347 @@
+'use strict';
+
+// IMPORTS: NODE.JS CORE
+const EventEmitter = require('events').EventEmitter;
+
+// IMPORTS: NODE.JS THIRD-PARTY
+const RSVP = require('rsvp');
+const assign = require('lodash').assign;
+const forEach = require('lodash').forEach;
+const isNull = require('lodash').isNull;
+const isFunction = require('lodash').isFunction;
+
+// IMPORTS: NEST RESOURCES
+const NetworkManagerErrors = require('./NetworkManagerErrors');
+const DEFAULT_RATE_LIMIT_POLICY = require('./NestNetworkManagerContants').DEFAULT_RATE_LIMIT_POLICY;
+const RATE_LIMIT_BLOCKED_BEHAVIOURS = require('./NestNetworkManagerContants').RATE_LIMIT_BLOCKED_BEHAVIOURS;
+const MAX_TIMER_DELAY = require('./NestNetworkManagerContants').MAX_TIMER_DELAY;
+
+/**
+ * Paces the outgoing writes of a network manager. Writes draw from a token
+ * bucket which refills at a steady rate, so bursts of writes ( e.g. a bulk
+ * adjustment of many thermostats ) are spread out instead of tripping the
+ * rate limits of the WWN API. Once the service does report a rate limit the
+ * scheduler is blocked for as long as the service asked, during which new
+ * writes are either queued or rejected depending on the policy.
+ * @class NestRequestScheduler
+ * @extends EventEmitter
+ * @property {Object} policy - the scheduling policy ( bucketSize, refillInterval, whenBlocked, maxQueueSize, defaultBlockDuration )
+ * @property {Number} availableTokens - the number of writes which can be made right away; may be fractional
+ * @property {Number} lastRefill - the time (ms since epoch) at which the bucket was last refilled
+ * @property {Number} blockedUntil - the time (ms since epoch) until which the service has asked not to be sent requests
+ * @property {Array<Object>} queue - the pending writes, holding the resolution and rejection functions of their promises and their owner
+ * @property {Object|Null} drainTimer - the timer which processes the queue once a token is available or the block ends
+ */
+class NestRequestScheduler extends EventEmitter {
+
+    /**
+     * @constructor
+     * @param {Object} [policy] - overrides of the default scheduling policy, see setPolicy
+     */
+    constructor ( policy ) {
+
+        super();
+
+        this.policy = assign( {}, DEFAULT_RATE_LIMIT_POLICY, policy );
+        this.availableTokens = this.policy.bucketSize;
+        this.lastRefill = Date.now();
+        this.blockedUntil = 0;
+        this.queue = [];
+        this.drainTimer = null;
+    }
+
+    /**
+     * Overrides the scheduling policy. Omitted keys keep their current value.
+     * @public
+     * @memberof NestRequestScheduler
+     * @method setPolicy
+     * @param {Object} policy
+     * @param {Number} [policy.bucketSize] - the number of writes which can be made in a burst
+     * @param {Number} [policy.refillInterval] - the time (ms) it takes to regain one write
+     * @param {String} [policy.whenBlocked] - queue or reject writes made while rate limited by the service
+     * @param {Number} [policy.maxQueueSize] - the number of writes which can be pending at once; further writes are rejected
+     * @param {Number} [policy.defaultBlockDuration] - the time (ms) to hold off when rate limited without a Retry-After header
+     * @returns {NestRequestScheduler} - the scheduler instance so that calls can be chained
+     */
+    setPolicy ( policy ) {
+
+        this._refillTokens();
+        this.policy = assign( {}, this.policy, policy );
+        this.availableTokens = Math.min( this.availableTokens, this.policy.bucketSize );
+        this._drainQueue();
+
+        return this;
+    }
+
+    /**
+     * Requests permission to make a write. The returned promise is resolved
+     * once the write may be made, right away if a token is available and the
+     * scheduler is neither blocked nor already holding pending writes.
+     * @public
+     * @memberof NestRequestScheduler
+     * @method acquire
+     * @param {Boolean} [prioritise] - whether to place the write at the front of the queue, used to retry a rate limited write before the writes queued after it
+     * @param {Object} [owner] - an object identifying the write, used to withdraw it from the queue
+     * @returns {RSVP.Promise} - a promise resolved when the write may be made or rejected if it cannot be scheduled
+     */
+    acquire ( prioritise, owner ) {
+
+        return new RSVP.Promise(
+            ( resolve, reject ) => {
+
+                this._refillTokens();
+
+                if ( this.isBlocked()
+                    && this.policy.whenBlocked === RATE_LIMIT_BLOCKED_BEHAVIOURS.reject ) {
+
+                    reject( new NetworkManagerErrors.RequestRateLimited( this.blockedUntil ) );
+
+                    return ;
+                }
+
+                if ( !this.isBlocked() && this.queue.length === 0 && this.availableTokens >= 1 ) {
+
+                    this.availableTokens -= 1;
+                    resolve();
+
+                    return ;
+                }
+
+                if ( this.queue.length >= this.policy.maxQueueSize && prioritise !== true ) {
+
+                    reject( new NetworkManagerErrors.RequestQueueFull( this.policy.maxQueueSize ) );
+
+                    return ;
+                }
+
+                if ( prioritise === true ) {
+
+                    this.queue.unshift( { resolve, reject, owner } );
+                } else {
+
+                    this.queue.push( { resolve, reject, owner } );
+                }
+
+                this._drainQueue();
+            }
+        );
+    }
+
+    /**
+     * Blocks the scheduler after the service has reported a rate limit,
+     * emptying the bucket. A longer block already in place is kept.
+     * @public
+     * @memberof NestRequestScheduler
+     * @method block
+     * @param {Number|Null} [duration] - the time (ms) requested by the service; the policy's default block duration if omitted
+     * @returns {NestRequestScheduler} - the scheduler instance so that calls can be chained
+     */
+    block ( duration ) {
+
+        const wasBlocked = this.isBlocked();
+        const blockDuration = isNull(duration) || !isFinite(duration)
+            ? this.policy.defaultBlockDuration
+            : duration;
+
+        this.blockedUntil = Math.max( this.blockedUntil, Date.now() + blockDuration );
+        this.availableTokens = 0;
+        this.lastRefill = this.blockedUntil;
+
+        if ( !wasBlocked ) {
+
+            this._emitLimitationChangeEvent();
+        }
+
+        this._drainQueue();
+
+        return this;
+    }
+
+    /**
+     * Rejects every pending write with the given error, e.g. once the token
+     * they would be made with has been revoked.
+     * @public
+     * @memberof NestRequestScheduler
+     * @method clear
+     * @param {Error} error - the error to reject the pending writes with
+     * @returns {NestRequestScheduler} - the scheduler instance so that calls can be chained
+     */
+    clear ( error ) {
+
+        const pendingRequests = this.queue;
+
+        this.queue = [];
+
+        forEach(
+            pendingRequests
+            , ( pendingRequest ) => pendingRequest.reject( error )
+        );
+
+        this._drainQueue();
+
+        return this;
+    }
+
+    /**
+     * Removes the pending writes of the given owner from the queue without
+     * settling their promises, e.g. once they have been cancelled.
+     * @public
+     * @memberof NestRequestScheduler
+     * @method withdraw
+     * @param {Object} owner - the object given when the writes were scheduled
+     * @returns {NestRequestScheduler} - the scheduler instance so that calls can be chained
+     */
+    withdraw ( owner ) {
+
+        this.queue = this.queue.filter(
+            ( pendingRequest ) => pendingRequest.owner !== owner
+        );
+
+        this._drainQueue();
+
+        return this;
+    }
+
+    /**
+     * Returns whether the service has asked for requests to be held off.
+     * @public
+     * @memberof NestRequestScheduler
+     * @method isBlocked
+     * @returns {Boolean}
+     */
+    isBlocked ( ) {
+
+        return this.blockedUntil > Date.now();
+    }
+
+    /**
+     * Returns a snapshot of the scheduler's state.
+     * @public
+     * @memberof NestRequestScheduler
+     * @method getState
+     * @returns {Object} - whether the service is rate limiting the client, until when (ms since epoch or null), the number of pending writes and the number of writes which can be made right away
+     */
+    getState ( ) {
+
+        this._refillTokens();
+
+        return {
+            isUnderRateLimitation: this.isBlocked()
+            , blockedUntil: this.isBlocked() ? this.blockedUntil : null
+            , queueDepth: this.queue.length
+            , availableTokens: Math.floor( this.availableTokens )
+        };
+    }
+
+    /**
+     * Adds the tokens regained since the last refill to the bucket.
+     * @private
+     * @memberof NestRequestScheduler
+     * @method _refillTokens
+     */
+    _refillTokens ( ) {
+
+        const now = Date.now();
+
+        if ( now <= this.lastRefill ) {
+
+            return ;
+        }
+
+        this.availableTokens = Math.min(
+            this.policy.bucketSize
+            , this.availableTokens + ( now - this.lastRefill ) / this.policy.refillInterval
+        );
+        this.lastRefill = now;
+    }
+
+    /**
+     * Lets as many pending writes proceed as there are tokens available and,
+     * if writes remain, schedules itself for when the next token is regained
+     * or the block ends. Emits the limitationChange event once a block ends.
+     * @private
+     * @memberof NestRequestScheduler
+     * @method _drainQueue
+     */
+    _drainQueue ( ) {
+
+        var delay;
+
+        clearTimeout( this.drainTimer );
+        this.drainTimer = null;
+
+        if ( this.isBlocked() ) {
+
+            // also wakes up an empty queue so that the end of the block is
+            // reported
+            this._scheduleDrain( this.blockedUntil - Date.now() );
+
+            return ;
+        }
+
+        if ( this.blockedUntil !== 0 ) {
+
+            this.blockedUntil = 0;
+            this._emitLimitationChangeEvent();
+        }
+
+        this._refillTokens();
+
+        while ( this.queue.length > 0 && this.availableTokens >= 1 ) {
+
+            this.availableTokens -= 1;
+            this.queue.shift().resolve();
+        }
+
+        if ( this.queue.length > 0 ) {
+
+            delay = Math.ceil( ( 1 - this.availableTokens ) * this.policy.refillInterval );
+            this._scheduleDrain( delay );
+        }
+    }
+
+    /**
+     * Schedules the next processing of the queue. Timers cannot be set
+     * further ahead than MAX_TIMER_DELAY ( about 24.8 days ) while the
+     * service may ask to be left alone for longer, so a far away end of a
+     * block is reached through intermediate drains. The timer does not keep
+     * the process alive.
+     * @private
+     * @memberof NestRequestScheduler
+     * @method _scheduleDrain
+     * @param {Number} delay - the time (ms) until the queue is to be processed
+     */
+    _scheduleDrain ( delay ) {
+
+        this.drainTimer = setTimeout(
+            this._drainQueue.bind(this)
+            , Math.min( delay, MAX_TIMER_DELAY )
+        );
+
+        if ( isFunction(this.drainTimer.unref) ) {
+
+            this.drainTimer.unref();
+        }
+    }
+
+    /**
+     * Emits the limitationChange event with the current state.
+     * @private
+     * @memberof NestRequestScheduler
+     * @method _emitLimitationChangeEvent
+     */
+    _emitLimitationChangeEvent ( ) {
+
+        super.emit( 'limitationChange', this.getState() );
+    }
+}
+
+/**
+ * limitationChange event, used to indicate that the service has started or
+ * stopped rate limiting the client.
+ *
+ * @event NestRequestScheduler#limitationChange
+ * @type {Object} - the state of the scheduler, see getState
+ */
+
+module.exports = NestRequestScheduler;
@@ -0,0 +1,252 @@
+'use strict';
+
+// IMPORTS: NODE.JS CORE
+const parseUrl = require('url').parse;
+
+// IMPORTS: NODE.JS THIRD-PARTY
+const request = require('request');
+const assign = require('lodash').assign;
+const isArray = require('lodash').isArray;
+const isUndefined = require('lodash').isUndefined;
+const omitBy = require('lodash').omitBy;
+const some = require('lodash').some;
+
+/**
+ * Reads the hosts which are reached without the proxy, given either as an
+ * array or, like the NO_PROXY environment variable, as a comma separated
+ * list.
+ * @function
+ * @name parseNoProxyList
+ * @param {String|Array<String>} noProxy - the hosts ( e.g. localhost, .example.com, example.com:8080, * )
+ * @returns {Array<String>} - the hosts in lower case
+ */
+function parseNoProxyList ( noProxy ) {
+
+    const entries = isArray(noProxy) ? noProxy : String(noProxy || "").split(",");
+
+    return entries
+        .map( ( entry ) => String(entry).trim().toLowerCase() )
+        .filter( ( entry ) => entry.length > 0 );
+}
+
+/**
+ * Returns whether the given host is reached without the proxy. An entry
+ * matches its host and every subdomain of it, a leading dot being ignored;
+ * an entry with a port only matches that port and * matches every host.
+ * @function
+ * @name isProxyBypassed
+ * @param {String} hostname - the host of the request
+ * @param {String} port - the port of the request
+ * @param {Array<String>} noProxyList - the hosts reached without the proxy
+ * @returns {Boolean}
+ */
+function isProxyBypassed ( hostname, port, noProxyList ) {
+
+    return some(
+        noProxyList
+        , ( entry ) => {
+
+            const separatorIndex = entry.lastIndexOf(":");
+            const entryHost = ( separatorIndex === -1 ? entry : entry.slice(0, separatorIndex) ).replace(/^\./, "");
+            const entryPort = separatorIndex === -1 ? null : entry.slice(separatorIndex + 1);
+
+            if ( entry === "*" ) {
+
+                return true;
+            }
+
+            return ( entryPort === null || entryPort === port )
+                && ( hostname === entryHost || hostname.endsWith( "." + entryHost ) );
+        }
+    );
+}
+
+/**
+ * The default HTTP transport of the network manager, backed by the request
+ * library. A transport is any object implementing the four request methods
+ * below ( stream, put, delete and postForm );
+ * the network manager takes one through its constructor so that another HTTP
+ * client, a traffic interceptor or an in-process fake can be swapped in.
+ *
+ * Every method is given a request library compatible options object ( url,
+ * method, headers, body/form, followRedirect ) and a node-style callback
+ * which must be called once with ( error, response, body ), where response
+ * carries at least statusCode, headers and body. Every method returns a
+ * handle on the ongoing request which must implement abort(); the handle
+ * returned by stream() must also be an EventEmitter emitting 'response' when
+ * the response headers are received and 'data' for every received chunk.
+ *
+ * The network settings of the transport ( proxy, certificate authorities and
+ * client certificate ) are applied to every request it makes, so that
+ * streams, writes and the OAuth requests reach the service the same way.
+ * @class NestRequestTransport
+ * @property {NestTransportSettings} settings - the network settings applied to every request
+ */
+class NestRequestTransport {
+
+    /**
+     * @constructor
+     * @param {NestTransportSettings} [settings] - the network settings, see setSettings
+     */
+    constructor ( settings ) {
+
+        this.settings = assign( {}, settings );
+    }
+
+    /**
+     * Overrides the network settings applied to the requests made from now
+     * on. Omitted keys keep their current value.
+     * @public
+     * @memberof NestRequestTransport
+     * @method setSettings
+     * @param {NestTransportSettings} settings
+     * @returns {NestRequestTransport} - the transport instance so that calls can be chained
+     */
+    setSettings ( settings ) {
+
+        this.settings = assign( {}, this.settings, settings );
+
+        return this;
+    }
+
+    /**
+     * Returns the proxy the request to the given url goes through. Unless
+     * set explicitly, the proxy and the hosts reached without it are read
+     * from the HTTPS_PROXY ( or HTTP_PROXY ) and NO_PROXY environment
+     * variables, as the request library does.
+     * @public
+     * @memberof NestRequestTransport
+     * @method resolveProxy
+     * @param {String} url - the url of the request
+     * @returns {String|Null} - the url of the proxy or null if the request is made directly
+     */
+    resolveProxy ( url ) {
+
+        const parsedUrl = parseUrl( String(url) );
+        const isHttps = parsedUrl.protocol === "https:";
+        const port = parsedUrl.port || ( isHttps ? "443" : "80" );
+        const env = process.env;
+        var proxy = this.settings.proxy;
+        var noProxy = this.settings.noProxy;
+
+        if ( isUndefined(proxy) ) {
+
+            proxy = isHttps
+                ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+                : env.HTTP_PROXY || env.http_proxy;
+        }
+
+        if ( isUndefined(noProxy) ) {
+
+            noProxy = env.NO_PROXY || env.no_proxy;
+        }
+
+        if ( !proxy || isProxyBypassed( String(parsedUrl.hostname).toLowerCase(), port, parseNoProxyList( noProxy ) ) ) {
+
+            return null;
+        }
+
+        return proxy;
+    }
+
+    /**
+     * Adds the network settings of the transport to the options of a
+     * request. The proxy is always set, null when the request is made
+     * directly, so that the request library does not read the environment
+     * again.
+     * @private
+     * @memberof NestRequestTransport
+     * @method _applySettings
+     * @param {Object} options - the options object describing the request
+     * @returns {Object} - a copy of the options with the network settings
+     */
+    _applySettings ( options ) {
+
+        return assign(
+            {}
+            , options
+            , omitBy(
+                {
+                    proxy: this.resolveProxy( options.url )
+                    , ca: this.settings.ca
+                    , cert: this.settings.cert
+                    , key: this.settings.key
+                    , passphrase: this.settings.passphrase
+                    , agent: this.settings.agent
+                }
+                , isUndefined
+            )
+        );
+    }
+
+    /**
+     * Opens a streaming GET request, used for the REST stream.
+     * @public
+     * @memberof NestRequestTransport
+     * @method stream
+     * @param {Object} options - the options object describing the request
+     * @param {Function} callback - called with ( error, response, body ) when the stream ends
+     * @returns {EventEmitter} - the ongoing request, emitting 'response' and 'data' events
+     */
+    stream ( options, callback ) {
+
+        return request( assign( { method: "GET" }, this._applySettings( options ) ), callback );
+    }
+
+    /**
+     * Executes a PUT request.
+     * @public
+     * @memberof NestRequestTransport
+     * @method put
+     * @param {Object} options - the options object describing the request
+     * @param {Function} callback - called with ( error, response, body ) when the request completes
+     * @returns {Object} - the ongoing request
+     */
+    put ( options, callback ) {
+
+        return request( assign( this._applySettings( options ), { method: "PUT" } ), callback );
+    }
+
+    /**
+     * Executes a DELETE request.
+     * @public
+     * @memberof NestRequestTransport
+     * @method delete
+     * @param {Object} options - the options object describing the request
+     * @param {Function} callback - called with ( error, response, body ) when the request completes
+     * @returns {Object} - the ongoing request
+     */
+    delete ( options, callback ) {
+
+        return request( assign( this._applySettings( options ), { method: "DELETE" } ), callback );
+    }
+
+    /**
+     * Executes a POST request with a url encoded form body.
+     * @public
+     * @memberof NestRequestTransport
+     * @method postForm
+     * @param {Object} options - the options object describing the request; the body is given as options.form
+     * @param {Function} callback - called with ( error, response, body ) when the request completes
+     * @returns {Object} - the ongoing request
+     */
+    postForm ( options, callback ) {
+
+        return request( assign( this._applySettings( options ), { method: "POST" } ), callback );
+    }
+}
+
+/**
+ * The network settings of a NestRequestTransport.
+ *
+ * @typedef {Object} NestTransportSettings
+ * @property {String|Null} [proxy] - the url of the proxy ( e.g. http://proxy.corp:3128 ); null disables the proxy; read from HTTPS_PROXY / HTTP_PROXY when omitted
+ * @property {String|Array<String>} [noProxy] - the hosts reached without the proxy, as a list or a comma separated string; read from NO_PROXY when omitted
+ * @property {String|Buffer|Array} [ca] - the PEM certificate authorities trusted instead of the default ones, e.g. a private root CA
+ * @property {String|Buffer} [cert] - the PEM client certificate presented to the service
+ * @property {String|Buffer} [key] - the PEM private key of the client certificate
+ * @property {String} [passphrase] - the passphrase of the private key
+ * @property {http.Agent} [agent] - the agent the requests are made through, e.g. to reuse connections
+ */
+
+module.exports = NestRequestTransport;
@@ -0,0 +1,237 @@
+'use strict';
+
+// IMPORTS: NODE.JS CORE
+const StringDecoder = require('string_decoder').StringDecoder;
+
+const DEFAULT_EVENT_TYPE = "message";
+const LINE_FEED = "\n";
+const CARRIAGE_RETURN = "\r";
+
+/**
+ * An incremental decoder for the Server-Sent Events (text/event-stream)
+ * format used by the WWN API REST stream. Buffers the raw stream until a
+ * blank line marks the end of an event, so updates which are split across
+ * several network chunks (or several updates which arrive in a single chunk)
+ * are always framed correctly. Follows the event stream interpretation rules
+ * of the HTML living standard: supports the event, data, id and retry fields,
+ * comment lines and multi-line data fields.
+ * @class NestServiceStreamParser
+ * @property {String} lastEventId - the id of the last event received on the stream
+ * @property {Number|Null} reconnectionTime - the reconnection time (in ms) requested by the service through the retry field
+ */
+class NestServiceStreamParser {
+
+    /** @constructor */
+    constructor ( ) {
+
+        this.lastEventId = "";
+        this.reconnectionTime = null;
+
+        this.reset();
+    }
+
+    /**
+     * Discards any partially received line or event so that the instance can
+     * be reused for a new stream connection. The lastEventId and
+     * reconnectionTime properties are kept since they outlive a connection.
+     * @public
+     * @memberof NestServiceStreamParser
+     * @method reset
+     * @returns {NestServiceStreamParser} - the parser instance so that calls can be chained
+     */
+    reset ( ) {
+
+        this._decoder = new StringDecoder('utf8');
+        this._lineBuffer = "";
+        this._lastCharWasCarriageReturn = false;
+        this._wipeEventBuffers();
+
+        return this;
+    }
+
+    /**
+     * Feeds a chunk of the stream to the parser and returns all the events
+     * that have been completed by it, in the order they were received.
+     * @public
+     * @memberof NestServiceStreamParser
+     * @method write
+     * @param {Buffer|String} chunk - the raw chunk received on the stream
+     * @returns {Array<NestServiceStreamEvent>} - the events completed by this chunk; may be empty
+     */
+    write ( chunk ) {
+
+        const text = Buffer.isBuffer(chunk) ? this._decoder.write(chunk) : String(chunk);
+        var completedEvents = [];
+        var character;
+
+        if ( this._lineBuffer !== "" || this._isEventBuffered() ) {
+
+            // the event being received was started by an earlier chunk
+            this._eventSpansChunks = true;
+        }
+
+        for ( var i = 0; i < text.length; i++ ) {
+
+            character = text[i];
+
+            if ( character === LINE_FEED && this._lastCharWasCarriageReturn ) {
+
+                // the second half of a CRLF pair, the line was already ended
+                // by the carriage return
+                this._lastCharWasCarriageReturn = false;
+
+                continue;
+            }
+
+            this._lastCharWasCarriageReturn = character === CARRIAGE_RETURN;
+
+            if ( character === LINE_FEED || character === CARRIAGE_RETURN ) {
+
+                this._processLine( this._lineBuffer, completedEvents );
+                this._lineBuffer = "";
+            } else {
+
+                this._lineBuffer += character;
+            }
+        }
+
+        return completedEvents;
+    }
+
+    /**
+     * Interprets a single line of the stream, dispatching the buffered event
+     * into the given array when the line is blank.
+     * @private
+     * @memberof NestServiceStreamParser
+     * @method _processLine
+     * @param {String} line - the line without its terminating newline characters
+     * @param {Array<NestServiceStreamEvent>} completedEvents - the array dispatched events are pushed into
+     */
+    _processLine ( line, completedEvents ) {
+
+        const colonIndex = line.indexOf(":");
+        var field = line;
+        var value = "";
+
+        if ( line === "" ) {
+
+            this._dispatchEvent( completedEvents );
+
+            return ;
+        }
+
+        if ( colonIndex === 0 ) {
+
+            // comment line, commonly used by servers as a heartbeat; ignore
+            return ;
+        }
+
+        if ( colonIndex > 0 ) {
+
+            field = line.slice(0, colonIndex);
+            value = line.slice(colonIndex + 1);
+
+            if ( value[0] === " " ) {
+
+                value = value.slice(1);
+            }
+        }
+
+        switch ( field ) {
+
+            case "event":
+                this._eventTypeBuffer = value;
+                break;
+
+            case "data":
+                this._dataBuffer.push(value);
+                break;
+
+            case "id":
+                if ( value.indexOf("\u0000") === -1 ) {
+
+                    this._eventIdBuffer = value;
+                }
+                break;
+
+            case "retry":
+                if ( /^\d+$/.test(value) ) {
+
+                    this.reconnectionTime = parseInt(value, 10);
+                }
+                break;
+
+            default:
+                // unknown fields are ignored as mandated by the specification
+                break;
+        }
+    }
+
+    /**
+     * Pushes the buffered event into the given array, if it carried any data,
+     * and resets the event buffers.
+     * @private
+     * @memberof NestServiceStreamParser
+     * @method _dispatchEvent
+     * @param {Array<NestServiceStreamEvent>} completedEvents - the array dispatched events are pushed into
+     */
+    _dispatchEvent ( completedEvents ) {
+
+        if ( this._eventIdBuffer !== null ) {
+
+            this.lastEventId = this._eventIdBuffer;
+        }
+
+        if ( this._dataBuffer.length > 0 ) {
+
+            completedEvents.push({
+                event: this._eventTypeBuffer || DEFAULT_EVENT_TYPE
+                , data: this._dataBuffer.join(LINE_FEED)
+                , id: this.lastEventId
+                , reassembled: this._eventSpansChunks
+            });
+        }
+
+        this._wipeEventBuffers();
+    }
+
+    /**
+     * Resets the buffers holding the fields of the event being received.
+     * @private
+     * @memberof NestServiceStreamParser
+     * @method _wipeEventBuffers
+     */
+    _wipeEventBuffers ( ) {
+
+        this._eventTypeBuffer = "";
+        this._eventIdBuffer = null;
+        this._dataBuffer = [];
+        this._eventSpansChunks = false;
+    }
+
+    /**
+     * Returns whether a field of the event being received has been buffered.
+     * @private
+     * @memberof NestServiceStreamParser
+     * @method _isEventBuffered
+     * @returns {Boolean}
+     */
+    _isEventBuffered ( ) {
+
+        return this._eventTypeBuffer !== ""
+            || this._eventIdBuffer !== null
+            || this._dataBuffer.length > 0;
+    }
+}
+
+/**
+ * An event decoded from the REST stream.
+ *
+ * @typedef {Object} NestServiceStreamEvent
+ * @property {String} event - the event type ( e.g. put, keep-alive, auth_revoked )
+ * @property {String} data - the raw, possibly multi-line, data of the event
+ * @property {String} id - the last event id seen on the stream when the event was dispatched
+ * @property {Boolean} reassembled - whether the event was split across several chunks of the stream
+ */
+
+module.exports = NestServiceStreamParser;
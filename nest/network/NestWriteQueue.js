@@ -0,0 +1,237 @@
+'use strict';
+
+// IMPORTS: NODE.JS CORE
+const fs = require('fs');
+
+// IMPORTS: NODE.JS THIRD-PARTY
+const assign = require('lodash').assign;
+const cloneDeep = require('lodash').cloneDeep;
+const findIndex = require('lodash').findIndex;
+const isArray = require('lodash').isArray;
+const isFunction = require('lodash').isFunction;
+const isNull = require('lodash').isNull;
+const maxBy = require('lodash').maxBy;
+
+/**
+ * Holds the writes which could not be made while the WWN API was out of
+ * reach, so that they can be replayed once it can be reached again. Writes
+ * to the same device, structure or trip are coalesced into a single entry
+ * whose fields hold the latest value of each field; the entry then moves to
+ * the end of the queue, so that the entries are replayed in the order they
+ * were last changed. Given a store, the queue is saved after every change
+ * and loaded back when created, so that it survives a restart.
+ * @class NestWriteQueue
+ * @property {Object|Null} store - the store the queue is saved to, implementing load() and save( entries ); null keeps the queue in memory
+ * @property {Array<NestQueuedWrite>} entries - the queued writes, oldest first
+ * @property {Number} nextId - the identifier of the next entry
+ */
+class NestWriteQueue {
+
+    /**
+     * @constructor
+     * @param {Object} [store] - the store the queue is saved to; see createFileStore
+     */
+    constructor ( store ) {
+
+        const storedEntries = store ? store.load() : [];
+
+        this.store = store || null;
+        this.entries = isArray(storedEntries) ? storedEntries : [];
+        this.nextId = this.entries.length > 0 ? maxBy( this.entries, 'id' ).id + 1 : 1;
+    }
+
+    /**
+     * Queues a write, coalescing it into the entry of the same key if there
+     * is one.
+     * @public
+     * @memberof NestWriteQueue
+     * @method add
+     * @param {Object} write
+     * @param {String} write.kind - device, structure or eta
+     * @param {String} write.key - the data path of the device or structure, followed by the trip id for an ETA ( e.g. /devices/thermostats/<id>, /structures/<id>/eta/<trip id> )
+     * @param {Object} write.target - the identifying fields of the device ( device_id, _deviceType ) or structure ( structure_id )
+     * @param {Object} write.fields - the values to write keyed by field
+     * @returns {NestQueuedWrite} - a copy of the entry holding the write
+     */
+    add ( write ) {
+
+        const index = findIndex( this.entries, { key: write.key } );
+        var entry;
+
+        if ( index === -1 ) {
+
+            entry = {
+                id: this.nextId
+                , kind: write.kind
+                , key: write.key
+                , target: cloneDeep( write.target )
+                , fields: cloneDeep( write.fields )
+                , queuedAt: Date.now()
+                , updatedAt: Date.now()
+                , revision: 1
+            };
+            this.nextId += 1;
+        } else {
+
+            entry = this.entries.splice( index, 1 )[0];
+            entry.fields = assign( {}, entry.fields, cloneDeep( write.fields ) );
+            entry.updatedAt = Date.now();
+            entry.revision += 1;
+        }
+
+        this.entries.push( entry );
+        this._save();
+
+        return cloneDeep( entry );
+    }
+
+    /**
+     * Returns a copy of the oldest entry.
+     * @public
+     * @memberof NestWriteQueue
+     * @method first
+     * @returns {NestQueuedWrite|Null} - the entry or null if the queue is empty
+     */
+    first ( ) {
+
+        return this.entries.length > 0 ? cloneDeep( this.entries[0] ) : null;
+    }
+
+    /**
+     * Removes the given entry once it has been replayed. An entry which has
+     * been coalesced with another write since the given copy was taken is
+     * kept, so that the newer values are replayed as well.
+     * @public
+     * @memberof NestWriteQueue
+     * @method remove
+     * @param {NestQueuedWrite} entry - a copy of the entry, as returned by first
+     * @returns {Boolean} - whether the entry has been removed
+     */
+    remove ( entry ) {
+
+        const index = findIndex( this.entries, { id: entry.id, revision: entry.revision } );
+
+        if ( index === -1 ) {
+
+            return false;
+        }
+
+        this.entries.splice( index, 1 );
+        this._save();
+
+        return true;
+    }
+
+    /**
+     * Returns the number of queued writes.
+     * @public
+     * @memberof NestWriteQueue
+     * @method size
+     * @returns {Number}
+     */
+    size ( ) {
+
+        return this.entries.length;
+    }
+
+    /**
+     * Returns a copy of the queued writes, oldest first.
+     * @public
+     * @memberof NestWriteQueue
+     * @method getEntries
+     * @returns {Array<NestQueuedWrite>}
+     */
+    getEntries ( ) {
+
+        return cloneDeep( this.entries );
+    }
+
+    /**
+     * Discards every queued write.
+     * @public
+     * @memberof NestWriteQueue
+     * @method clear
+     * @returns {NestWriteQueue} - the queue instance so that calls can be chained
+     */
+    clear ( ) {
+
+        this.entries = [];
+        this._save();
+
+        return this;
+    }
+
+    /**
+     * Saves the entries to the store, if any.
+     * @private
+     * @memberof NestWriteQueue
+     * @method _save
+     */
+    _save ( ) {
+
+        if ( !isNull(this.store) && isFunction(this.store.save) ) {
+
+            this.store.save( cloneDeep( this.entries ) );
+        }
+    }
+
+    /**
+     * Creates a store which keeps the queue as JSON in the given file. The
+     * entries only hold the identifiers of the devices and structures and the
+     * values written, never the access token.
+     * @public
+     * @static
+     * @memberof NestWriteQueue
+     * @method createFileStore
+     * @param {String} filePath - the path of the file; created on the first save
+     * @returns {Object} - the store
+     */
+    static createFileStore ( filePath ) {
+
+        return {
+            load: ( ) => {
+
+                var contents;
+
+                try {
+
+                    contents = fs.readFileSync( filePath, 'utf8' );
+                } catch ( error ) {
+
+                    if ( error.code === 'ENOENT' ) {
+
+                        // nothing has been queued yet
+                        return [];
+                    }
+
+                    throw error;
+                }
+
+                return contents.trim() === "" ? [] : JSON.parse( contents );
+            }
+            , save: ( entries ) => {
+
+                // written aside and renamed so that a crash never leaves a
+                // truncated queue behind
+                fs.writeFileSync( filePath + ".tmp", JSON.stringify( entries ) );
+                fs.renameSync( filePath + ".tmp", filePath );
+            }
+        };
+    }
+}
+
+/**
+ * A write held by the write queue.
+ *
+ * @typedef {Object} NestQueuedWrite
+ * @property {Number} id - the identifier of the entry
+ * @property {String} kind - device, structure or eta
+ * @property {String} key - the data path of the device or structure written, followed by the trip id for an ETA
+ * @property {Object} target - the identifying fields of the device ( device_id, _deviceType ) or structure ( structure_id )
+ * @property {Object} fields - the values to write keyed by field
+ * @property {Number} queuedAt - the time (ms since epoch) the first write of the entry was queued at
+ * @property {Number} updatedAt - the time (ms since epoch) the latest write was coalesced into the entry
+ * @property {Number} revision - incremented whenever a write is coalesced into the entry
+ */
+
+module.exports = NestWriteQueue;
@@ -1,3 +1,36 @@
+// IMPORTS: NODE.JS THIRD-PARTY
+const isString = require('lodash').isString;
+const isPlainObject = require('lodash').isPlainObject;
+
+// IMPORTS: NEST RESOURCES
+const NETWORK_ERROR_EVENTS = require('./NestNetworkManagerContants').NETWORK_ERROR_EVENTS;
+const parseStringIntoJsObject = require('./NestNetworkManagerUtils').parseStringIntoJsObject;
+const NestRedaction = require('../NestRedaction');
+
+/**
+ * Reads the error payload the WWN API sends along with an error response,
+ * e.g. { error, type, message, instance }; a body which is not JSON is kept
+ * as is. Secrets the payload may echo back are masked.
+ * @function
+ * @name parseErrorPayload
+ * @param {Object|Null} response - the response from the WWN API
+ * @returns {Object|String|Null} - the payload or null if the response has no body
+ */
+function parseErrorPayload ( response ) {
+
+    const body = response ? response.body : null;
+    var parsedBody;
+
+    if ( !isString(body) || body === "" ) {
+
+        return isPlainObject(body) ? NestRedaction.redact( body ) : null;
+    }
+
+    parsedBody = parseStringIntoJsObject( body );
+
+    return NestRedaction.redact( parsedBody === false ? body : parsedBody );
+}
+
 
 class NoTokenSetWhileMakingRequest extends Error {
 
@@ -29,8 +62,436 @@ class TokenMustBeString extends Error {
     }
 }
 
+class ServiceStreamStale extends Error {
+
+    constructor ( lastActivity ) {
+
+        super();
+
+        this.name = "ServiceStreamStale";
+        this.message = [
+            "The service stream was closed since nothing was received on it"
+            , "since"
+            , new Date(lastActivity).toISOString()
+        ].join(" ");
+        this.lastActivity = lastActivity;
+        this.stack = new Error().stack;
+    }
+}
+
+class AuthTokenRevoked extends Error {
+
+    constructor ( ) {
+
+        super();
+
+        this.name = "AuthTokenRevoked";
+        this.message = [
+            "The access token of the network manager has been revoked, a new"
+            , "token must be obtained through the OAuth flow."
+        ].join(" ");
+        this.stack = new Error().stack;
+    }
+}
+
+/**
+ * The error of a request the WWN API has answered with an error. Its
+ * response is a redacted snapshot ( statusCode, headers, body ) rather than
+ * the response itself, which references the request and so its bearer
+ * header.
+ */
+class NestApiError extends Error {
+
+    constructor ( error, description, response, path ) {
+
+        super();
+
+        const payload = parseErrorPayload( response );
+
+        this.name = "NestApiError";
+        this.message = NestRedaction.redactString(
+            isPlainObject(payload) && isString(payload.message)
+                ? [ description, payload.message ].join(" ")
+                : description
+        );
+        this.error = error;
+        this.statusCode = response ? response.statusCode : null;
+        this.path = path || null;
+        this.payload = payload;
+        this.response = NestRedaction.redactResponse( response );
+        this.stack = new Error().stack;
+    }
+}
+
+class RateLimited extends NestApiError {
+
+    constructor ( response, path ) {
+
+        super(
+            NETWORK_ERROR_EVENTS.UNDER_RATE_LIMITS
+            , "The WWN API has reported that this client has reached its rate limits."
+            , response
+            , path
+        );
+
+        this.name = "RateLimited";
+    }
+}
+
+class NotFound extends NestApiError {
+
+    constructor ( response, path ) {
+
+        super(
+            NETWORK_ERROR_EVENTS.PATH_NOT_FOUND
+            , "The WWN API has reported that the requested path could not be found."
+            , response
+            , path
+        );
+
+        this.name = "NotFound";
+    }
+}
+
+class Forbidden extends NestApiError {
+
+    constructor ( response, path ) {
+
+        super(
+            NETWORK_ERROR_EVENTS.FORBIDDEN
+            , "The WWN API has reported that the requested path is forbidden to this client."
+            , response
+            , path
+        );
+
+        this.name = "Forbidden";
+    }
+}
+
+class AuthError extends NestApiError {
+
+    constructor ( response, path ) {
+
+        super(
+            NETWORK_ERROR_EVENTS.AUTH_ERROR
+            , "The WWN API has reported that the access token is invalid."
+            , response
+            , path
+        );
+
+        this.name = "AuthError";
+    }
+}
+
+class ServiceUnavailable extends NestApiError {
+
+    constructor ( response, path ) {
+
+        super(
+            NETWORK_ERROR_EVENTS.SERVICE_UNAVAILABLE
+            , "The WWN API is not currently available to service client requests."
+            , response
+            , path
+        );
+
+        this.name = "ServiceUnavailable";
+    }
+}
+
+class InternalAPIError extends NestApiError {
+
+    constructor ( response, path ) {
+
+        super(
+            NETWORK_ERROR_EVENTS.API_INTERNAL_ERROR
+            , "The WWN API has reported an internal server error."
+            , response
+            , path
+        );
+
+        this.name = "InternalAPIError";
+    }
+}
+
+class InvalidRequest extends NestApiError {
+
+    constructor ( response, path ) {
+
+        super(
+            NETWORK_ERROR_EVENTS.INVALID_REQUEST
+            , "The WWN API has reported that the request made by this client was not valid."
+            , response
+            , path
+        );
+
+        this.name = "InvalidRequest";
+    }
+}
+
+class StreamAlreadyActive extends NestApiError {
+
+    constructor ( path ) {
+
+        super(
+            NETWORK_ERROR_EVENTS.STREAM_ALREADY_ACTIVE
+            , "A REST stream of the requested path is already active."
+            , null
+            , path
+        );
+
+        this.name = "StreamAlreadyActive";
+    }
+}
+
+class RequestRateLimited extends RateLimited {
+
+    constructor ( blockedUntil ) {
+
+        super( null, null );
+
+        this.name = "RequestRateLimited";
+        this.message = [
+            "The request was not made since the WWN API has asked this client"
+            , "to hold off requests until"
+            , new Date(blockedUntil).toISOString()
+        ].join(" ");
+        this.blockedUntil = blockedUntil;
+    }
+}
+
+class RequestQueueFull extends Error {
+
+    constructor ( maxQueueSize ) {
+
+        super();
+
+        this.name = "RequestQueueFull";
+        this.message = [
+            "The request was not made since"
+            , maxQueueSize
+            , "requests are already waiting for the rate limits of the WWN API."
+        ].join(" ");
+        this.error = NETWORK_ERROR_EVENTS.UNDER_RATE_LIMITS;
+        this.maxQueueSize = maxQueueSize;
+        this.stack = new Error().stack;
+    }
+}
+
+class InvalidDeviceUpdate extends Error {
+
+    constructor ( reason ) {
+
+        super();
+
+        this.name = "InvalidDeviceUpdate";
+        this.message = [
+            "Network manager was asked to update a device but"
+            , reason
+        ].join(" ");
+        this.stack = new Error().stack;
+    }
+}
+
+class InvalidStructureUpdate extends Error {
+
+    constructor ( reason ) {
+
+        super();
+
+        this.name = "InvalidStructureUpdate";
+        this.message = [
+            "Network manager was asked to update a structure but"
+            , reason
+        ].join(" ");
+        this.stack = new Error().stack;
+    }
+}
+
+class RequestTimedOut extends Error {
+
+    constructor ( timeout, url ) {
+
+        super();
+
+        this.name = "RequestTimedOut";
+        this.message = [
+            "The request to"
+            , url ? NestRedaction.redactString( url ) : "the WWN API"
+            , "did not complete within"
+            , timeout
+            , "ms and was abandoned."
+        ].join(" ");
+        this.timeout = timeout;
+        this.url = url ? NestRedaction.redactString( url ) : null;
+        this.stack = new Error().stack;
+    }
+}
+
+class RequestCancelled extends Error {
+
+    constructor ( url ) {
+
+        super();
+
+        this.name = "RequestCancelled";
+        this.message = [
+            "The request to"
+            , url ? NestRedaction.redactString( url ) : "the WWN API"
+            , "was cancelled by its abort signal."
+        ].join(" ");
+        this.url = url ? NestRedaction.redactString( url ) : null;
+        this.stack = new Error().stack;
+    }
+}
+
+class TooManyRedirects extends Error {
+
+    constructor ( url, redirects ) {
+
+        super();
+
+        this.name = "TooManyRedirects";
+        this.message = [
+            "The request to"
+            , url ? NestRedaction.redactString( url ) : "the WWN API"
+            , "was redirected"
+            , redirects
+            , "times in a row and was abandoned to avoid a redirect loop."
+        ].join(" ");
+        this.url = url ? NestRedaction.redactString( url ) : null;
+        this.redirects = redirects;
+        this.stack = new Error().stack;
+    }
+}
+
+class TokenRevocationFailed extends Error {
+
+    constructor ( statusCode ) {
+
+        super();
+
+        this.name = "TokenRevocationFailed";
+        this.message = [
+            "The access token could not be revoked, the OAuth service"
+            , "answered with status"
+            , statusCode + "."
+            , "The token is kept so that revocation can be retried."
+        ].join(" ");
+        this.statusCode = statusCode;
+        this.stack = new Error().stack;
+    }
+}
+
+class OAuthError extends Error {
+
+    constructor ( statusCode, description, reason ) {
+
+        super();
+
+        this.name = "OAuthError";
+        this.message = [
+            "The OAuth service refused to issue an access token"
+            , reason || [ "( status", statusCode, "):", description || "no description given." ].join(" ")
+        ].join(" ");
+        this.message = NestRedaction.redactString( this.message );
+        this.statusCode = statusCode;
+        this.description = description ? NestRedaction.redactString( description ) : null;
+        this.stack = new Error().stack;
+    }
+}
+
+class InvalidPinCode extends OAuthError {
+
+    constructor ( statusCode, description ) {
+
+        super( statusCode, description, "since the PIN code is not valid." );
+
+        this.name = "InvalidPinCode";
+    }
+}
+
+class ExpiredPinCode extends OAuthError {
+
+    constructor ( statusCode, description ) {
+
+        super( statusCode, description, "since the PIN code has expired, a new PIN has to be requested." );
+
+        this.name = "ExpiredPinCode";
+    }
+}
+
+class InvalidClientCredentials extends OAuthError {
+
+    constructor ( statusCode, description ) {
+
+        super( statusCode, description, "since the client id or secret is not valid." );
+
+        this.name = "InvalidClientCredentials";
+    }
+}
+
+class MalformedOAuthResponse extends OAuthError {
+
+    constructor ( statusCode ) {
+
+        super( statusCode );
+
+        this.name = "MalformedOAuthResponse";
+        this.message = [
+            "The OAuth service answered the access token request with a"
+            , "response which could not be understood ( status"
+            , statusCode
+            , ")."
+        ].join(" ");
+    }
+}
+
+class WriteQueued extends Error {
+
+    constructor ( entry, cause ) {
+
+        super();
+
+        this.name = "WriteQueued";
+        this.message = [
+            "The write to"
+            , entry.key
+            , "was not made since the WWN API cannot currently be reached;"
+            , "it has been queued and will be replayed once the WWN API can be"
+            , "reached again."
+        ].join(" ");
+        this.entry = entry;
+        this.cause = cause || null;
+        this.stack = new Error().stack;
+    }
+}
 
 module.exports = {
     NoTokenSetWhileMakingRequest
     , TokenMustBeString
+    , ServiceStreamStale
+    , AuthTokenRevoked
+    , NestApiError
+    , RateLimited
+    , NotFound
+    , Forbidden
+    , AuthError
+    , ServiceUnavailable
+    , InternalAPIError
+    , InvalidRequest
+    , StreamAlreadyActive
+    , RequestRateLimited
+    , RequestQueueFull
+    , InvalidDeviceUpdate
+    , InvalidStructureUpdate
+    , RequestTimedOut
+    , RequestCancelled
+    , TooManyRedirects
+    , TokenRevocationFailed
+    , OAuthError
+    , InvalidPinCode
+    , ExpiredPinCode
+    , InvalidClientCredentials
+    , MalformedOAuthResponse
+    , WriteQueued
 };
@@ -9,14 +9,38 @@ const forEach = require('lodash').forEach;
 const values = require('lodash').values;
 const first = require('lodash').first;
 const merge = require('lodash').merge;
+const setWith = require('lodash').setWith;
+const unset = require('lodash').unset;
+const isNull = require('lodash').isNull;
 const find = require('lodash').find;
 const omit = require('lodash').omit;
 const keys = require('lodash').keys;
 const has = require('lodash').has;
 
+const NestLogger = require('../NestLogger');
+
 const hydrated = 'hydrated';
 const update = 'update';
 
+const STREAM_EVENT_PATCH = 'patch';
+const DEVICES_PATH_ROOT = 'devices';
+const STRUCTURES_PATH_ROOT = 'structures';
+
+/**
+ * Splits a WWN API data path ( e.g. /devices/thermostats/abc ) into its
+ * segments, ignoring leading, trailing and repeated slashes.
+ * @function
+ * @name splitUpstreamPath
+ * @param {String} path - the data path given by the WWN API
+ * @returns {Array<String>} - the path segments; empty for the account root
+ */
+function splitUpstreamPath ( path ) {
+
+    return String(path || "/").split("/").filter(
+        ( segment ) => segment.length > 0
+    );
+}
+
 /**
  * The representation manager deals with cache balancing and data storage for
  * devices and structures relative to the WWN API. The reprenstation manager is
@@ -28,14 +52,21 @@ const update = 'update';
  * @property {Object} localDeviceCache - a two-level map where deviceType is the first key and is object containing all related devices keyed by device id.
  * @property {Object} localStructureCache - a replica map of the structure output from the WWN API
  * @property {Boolean} hydrated - a boolean indicating whether or not the RepresentationManager has been 'hydrated' (inited) by a Network Manager.
+ * @property {NestLogger} logger - the logger the instance writes to, under the cache namespace
  */
 class NestRepresentationManager extends EventEmitter {
 
-    /** @constructor */
-    constructor ( ) {
+    /**
+     * @constructor
+     * @param {Object} [options]
+     * @param {NestLogger} [options.logger] - the logger the instance writes to, see setLogger; silent by default
+     */
+    constructor ( options ) {
 
         super();
 
+        options = options || {};
+
         this.EMITABLE_EVENTS = {
             hydrated
             , update
@@ -43,8 +74,26 @@ class NestRepresentationManager extends EventEmitter {
         this.localDeviceCache = {};
         this.localStructureCache = {};
         this.hydrated = false;
+        this.setLogger( options.logger || new NestLogger() );
     };
 
+    /**
+     * Sets the logger the instance writes to. The records of the instance
+     * are written under the cache namespace below the namespace of the given
+     * logger.
+     * @public
+     * @memberof NestRepresentationManager
+     * @method setLogger
+     * @param {NestLogger} logger
+     * @returns {NestRepresentationManager} - the representation manager instance so that calls can be chained
+     */
+    setLogger ( logger ) {
+
+        this.logger = logger.child( "cache" );
+
+        return this;
+    }
+
     /**
      * Emits the hydrated event.
      * @private
@@ -154,6 +203,54 @@ class NestRepresentationManager extends EventEmitter {
         );
     }
 
+    /**
+     * Empties the device and structure caches and marks the instance as no
+     * longer hydrated, so that the next stream update hydrates it again. Used
+     * when the account the caches were filled for is no longer accessible.
+     * @public
+     * @memberof NestRepresentationManager
+     * @method clearCaches
+     * @returns {NestRepresentationManager} - the representation manager instance so that calls can be chained
+     */
+    clearCaches ( ) {
+
+        this.localDeviceCache = {};
+        this.localStructureCache = {};
+        this.hydrated = false;
+
+        return this;
+    }
+
+    /**
+     * Sets the eta_begin field of a cached structure after an ETA has been
+     * sent for it, so that the expected arrival shows before the WWN API
+     * reports it on the stream. Emits the update event if the structure is
+     * cached.
+     * @public
+     * @memberof NestRepresentationManager
+     * @method setStructureEtaBegin
+     * @param {String} structureId - the id of the structure
+     * @param {String|Null} etaBegin - the beginning of the ETA window as an ISO 8601 string; null removes the field once a trip is cancelled
+     * @returns {NestRepresentationManager} - the representation manager instance so that calls can be chained
+     * @fires NestRepresentationManager#update
+     */
+    setStructureEtaBegin ( structureId, etaBegin ) {
+
+        if ( !has(this.localStructureCache, structureId) ) {
+
+            return this;
+        }
+
+        this.localStructureCache = this._writeUpstreamDataAtPath(
+            this.localStructureCache
+            , [ structureId, "eta_begin" ]
+            , etaBegin
+        );
+        this._emitUpdateEvent();
+
+        return this;
+    }
+
     /**
      * Returns the device cache
      * @public
@@ -255,9 +352,13 @@ class NestRepresentationManager extends EventEmitter {
 
     /**
      * Handler for the NestNetworkManager serviceStreamDataUpdate event emission.
-     * Will initiate cache balancing when the event is received. During the first
-     * execution will emit the 'hydrated' event on the instance, indicating that
-     * the instance has data and is ready to be queried.
+     * Will apply the update at the path it was given for, relative to the
+     * scope of the stream it was received on, and balance the affected
+     * caches. A 'put' update replaces the data at its path while a 'patch'
+     * update only replaces the children of its path that are present in the
+     * update, leaving their siblings untouched. During the first execution
+     * will emit the 'hydrated' event on the instance, indicating that the
+     * instance has data and is ready to be queried.
      * @public
      * @memberof NestRepresentationManager
      * @method handleNetworkManagerStreamUpdate
@@ -266,10 +367,33 @@ class NestRepresentationManager extends EventEmitter {
      * @fires NestRepresentationManager#hydrated
      */
     handleNetworkManagerStreamUpdate ( updateObject ) {
-        console.info("Handling network stream update", updateObject);
+        this.logger.debug(
+            "Applying a stream update."
+            , {
+                scope: isObject(updateObject) ? updateObject.scope : null
+                , event: isObject(updateObject) ? updateObject.event : null
+                , path: isObject(updateObject) && isObject(updateObject.body) ? updateObject.body.path : null
+            }
+        );
+
+        if ( !isObject(updateObject) || !isObject(updateObject.body) ) {
 
-        this._balanceDeviceCacheAgainstUpstream( updateObject );
-        this._balanceStructureCacheAgainstUpstream( updateObject );
+            // the update does not carry a body to apply; defer
+            return ;
+        }
+
+        // updates on a scoped stream carry paths relative to the scope
+        const pathSegments = splitUpstreamPath( updateObject.scope ).concat(
+            splitUpstreamPath( updateObject.body.path )
+        );
+
+        if ( updateObject.event === STREAM_EVENT_PATCH ) {
+
+            this._applyUpstreamPatch( pathSegments, updateObject.body.data );
+        } else {
+
+            this._applyUpstreamPut( pathSegments, updateObject.body.data );
+        }
 
         if ( this.hydrated === false ) {
 
@@ -281,16 +405,167 @@ class NestRepresentationManager extends EventEmitter {
         }
     }
 
+    /**
+     * Applies a 'patch' update by replacing each child of the given path that
+     * is present in the upstream data.
+     * @private
+     * @memberof NestRepresentationManager
+     * @method _applyUpstreamPatch
+     * @param {Array<String>} pathSegments - the segments of the path the update was given for
+     * @param {Object} upstreamData - a map of the children to replace, keyed by their name
+     */
+    _applyUpstreamPatch ( pathSegments, upstreamData ) {
 
-    _balanceStructureCacheAgainstUpstream ( updateObject ) {
+        if ( !isObject(upstreamData) ) {
+
+            return ;
+        }
 
-        if ( !isObject(updateObject)
-            || !has( updateObject, [ "body", "data", "structures" ] ) ) {
+        forEach(
+            upstreamData
+            , ( childData, childKey ) => {
 
-            // the update does not have any devices to update against; defer
+                this._applyUpstreamPut(
+                    pathSegments.concat( childKey )
+                    , childData
+                );
+            }
+        );
+    }
+
+    /**
+     * Applies a 'put' update by replacing the data at the given path. An
+     * update of the account root, the device root or the structure root is
+     * balanced against the existing cache; an update of a deeper path is
+     * written into the matching cache location.
+     * @private
+     * @memberof NestRepresentationManager
+     * @method _applyUpstreamPut
+     * @param {Array<String>} pathSegments - the segments of the path the update was given for
+     * @param {*} upstreamData - the data to be stored at the path; null removes the path
+     */
+    _applyUpstreamPut ( pathSegments, upstreamData ) {
+
+        const pathRoot = first( pathSegments );
+        const subPath = pathSegments.slice(1);
+
+        if ( pathSegments.length === 0 ) {
+
+            if ( !isObject(upstreamData) ) {
+
+                return ;
+            }
+
+            if ( has(upstreamData, DEVICES_PATH_ROOT) ) {
+
+                this._balanceDeviceCacheAgainstUpstream( upstreamData.devices );
+            }
+
+            if ( has(upstreamData, STRUCTURES_PATH_ROOT) ) {
+
+                this._balanceStructureCacheAgainstUpstream( upstreamData.structures );
+            }
+        } else if ( pathRoot === DEVICES_PATH_ROOT ) {
+
+            if ( subPath.length === 0 ) {
+
+                this._balanceDeviceCacheAgainstUpstream( upstreamData || {} );
+            } else {
+
+                this.localDeviceCache = this._writeUpstreamDataAtPath(
+                    this.localDeviceCache
+                    , subPath
+                    , upstreamData
+                );
+                this._tagDeviceTypes();
+            }
+        } else if ( pathRoot === STRUCTURES_PATH_ROOT ) {
+
+            if ( subPath.length === 0 ) {
+
+                this._balanceStructureCacheAgainstUpstream( upstreamData || {} );
+            } else {
+
+                this.localStructureCache = this._writeUpstreamDataAtPath(
+                    this.localStructureCache
+                    , subPath
+                    , upstreamData
+                );
+            }
+        }
+
+        // any other path ( e.g. metadata ) is not cached by this class
+    }
+
+    /**
+     * Returns a copy of the given cache with the data at the given path
+     * replaced by the upstream data, or removed if the upstream data is null.
+     * @private
+     * @memberof NestRepresentationManager
+     * @method _writeUpstreamDataAtPath
+     * @param {Object} cache - the cache to write into
+     * @param {Array<String>} pathSegments - the path relative to the cache root
+     * @param {*} upstreamData - the data to be stored at the path
+     * @returns {Object} - the updated copy of the cache
+     */
+    _writeUpstreamDataAtPath ( cache, pathSegments, upstreamData ) {
+
+        var newCache = cloneDeep(cache);
+
+        if ( isNull(upstreamData) ) {
+
+            unset( newCache, pathSegments );
+        } else {
+
+            setWith( newCache, pathSegments, cloneDeep(upstreamData), Object );
+        }
+
+        return newCache;
+    }
+
+    /**
+     * Sets the _deviceType property on every cached device, since devices
+     * written by a path update do not carry it.
+     * @private
+     * @memberof NestRepresentationManager
+     * @method _tagDeviceTypes
+     */
+    _tagDeviceTypes ( ) {
+
+        forEach(
+            this.localDeviceCache
+            , function ( deviceTypeMap, deviceTypeKey ) {
+
+                forEach(
+                    deviceTypeMap
+                    , function ( deviceValue ) {
+
+                        if ( isObject(deviceValue) ) {
+
+                            deviceValue._deviceType = deviceTypeKey;
+                        }
+                    }
+                );
+            }
+        );
+    }
+
+    /**
+     * Balances the local structure cache against the given upstream structure
+     * map, removing structures which no longer exist upstream.
+     * @private
+     * @memberof NestRepresentationManager
+     * @method _balanceStructureCacheAgainstUpstream
+     * @param {Object} upstreamStructures - the structure map given by the WWN API
+     */
+    _balanceStructureCacheAgainstUpstream ( upstreamStructures ) {
+
+        if ( !isObject(upstreamStructures) ) {
+
+            // the update does not have any structures to update against; defer
 
             return ;
-        } else if ( isEmpty( updateObject.body.data.structures ) ) {
+        } else if ( isEmpty( upstreamStructures ) ) {
 
             // reset the cache
             this.localStructureCache = {};
@@ -298,7 +573,6 @@ class NestRepresentationManager extends EventEmitter {
             return ;
         }
 
-        var upstreamStructures = updateObject.body.data.structures;
         var newLocalStructureCache = cloneDeep(this.localStructureCache);
 
         newLocalStructureCache = omit(
@@ -317,24 +591,22 @@ class NestRepresentationManager extends EventEmitter {
     }
 
     /**
-     * Takes a PUT stream event container and attempts to balance the local
-     * device cache against the upstream data emission. If the upstream data
-     * emission is applicable the function will set the instances
-     * localDeviceCache property to the newly balanced cache.
+     * Attempts to balance the local device cache against the given upstream
+     * device map. If the upstream data is applicable the function will set
+     * the instances localDeviceCache property to the newly balanced cache.
      * @private
      * @memberof NestRepresentationManager
      * @method _balanceDeviceCacheAgainstUpstream
-     * @param {NestServiceStreamEventContainer} updateObject - an instance of the NestServiceStreamEventContainer class
+     * @param {Object} upstreamDevices - the device map given by the WWN API, keyed by device type
      */
-    _balanceDeviceCacheAgainstUpstream ( updateObject ) {
+    _balanceDeviceCacheAgainstUpstream ( upstreamDevices ) {
 
-        if ( !isObject(updateObject)
-            || !has( updateObject, [ "body", "data", "devices" ] ) ) {
+        if ( !isObject(upstreamDevices) ) {
 
             // the update does not have any devices to update against; defer
 
             return ;
-        } else if ( isEmpty(updateObject.body.data.devices) ) {
+        } else if ( isEmpty(upstreamDevices) ) {
 
             // reset the cache
             this.localDeviceCache = {};
@@ -342,7 +614,6 @@ class NestRepresentationManager extends EventEmitter {
             return ;
         }
 
-        var upstreamDevices = updateObject.body.data.devices;
         var newLocalCache = cloneDeep(this.localDeviceCache);
 
         // first balance at the top-level since going from 1 device of x type
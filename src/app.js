@@ -4,8 +4,18 @@
 
   // define application interface
   const NestApplicationInterface = require('./nest/NestApplicationInterface');
+  const NestLogger = require('./nest/NestLogger');
   window.NestApplicationInterface = NestApplicationInterface;
 
+  // the SDK is silent unless given a sink; show its records in the devtools
+  NestApplicationInterface.setLogger(new NestLogger({
+    level: 'info',
+    sink: NestLogger.createConsoleSink()
+  }));
+
+  // reconnect the stream after network blips instead of going silent
+  NestApplicationInterface.setAutoReinitStream(true);
+
   // listen for update events:
   NestApplicationInterface.addUpdateListener(function(){
     console.log("update event");
@@ -8,6 +8,7 @@
   var connectedSpinner = document.getElementById('connected-spinner');
   var setupDiv = document.getElementById('setup');
   var apiButton = document.getElementById('api-button');
+  var disconnectButton = document.getElementById('disconnect-button');
   var config = require('../config.json');
   var fs = require('fs');
   var random = require('lodash').random;
@@ -27,97 +28,187 @@
       return chars.join("");
   }
 
-  // if the user doesn't yet have a token, do the OAuth flow
-  if(config.token === "your_token" || config.token === ""){
-    // do Pincode flow for the first time to get the token
-    apiButton.addEventListener('click', function(){
-      apiButton.disabled = true;
-      let OauthUrl = "https://home.nest.com/login/oauth2?client_id="
-        + config.productID + "&state=" + generatePseudoRandomRange(12);
-
-        //console.log("HERE IS THE RANDOM RANGE URL!", OauthUrl);
-
-      authWindow = new electron.remote.BrowserWindow({
-          width: 800
-          , height: 600
-          , show: true
-          , 'webPreferences': {
-              'nodeIntegration': false
-          }
-      });
-
-      authWindow.loadURL(OauthUrl);
+  var setupDivClassName = setupDiv.className;
+  var authorizationUrl = config.authorizationUrl || "https://home.nest.com/login/oauth2";
+
+  // the API urls can be overridden in config.json, e.g. to use the mock API
+  if(config.apiUrl){
+    NestApplicationInterface.setApiUrls(config.apiUrl, config.oauthUrl, config.tokenRevocationUrl);
+  }
+
+  function writeConfig () {
+    fs.writeFile('./config.json', JSON.stringify(config, null, 2), function(error){
+      if(error) {return console.warn(error)}
     });
+  }
 
-    pincodeButton.addEventListener('click', function(){
-      // modify the UI to show that the API is being connected to
-      connectedStatus.innerHTML = 'Connecting';
-      connectedSpinner.active = true;
+  // the token is persisted along with its issue and expiry times so that its
+  // expiry is still tracked after a restart
+  function saveCredential (credential) {
+    config.token = credential.token;
+    config.tokenIssuedAt = credential.issuedAt;
+    config.tokenExpiresAt = credential.expiresAt;
+    writeConfig();
+  }
 
-      NestApplicationInterface.doOauth( config.productID, config.productSecret, pincodeInput.value ).then(
-        (result) => {
-          console.log("OAuth finished, result: ", result);
+  function forgetCredential () {
+    config.token = "";
+    config.tokenIssuedAt = null;
+    config.tokenExpiresAt = null;
+    writeConfig();
+  }
 
-          // get the token
-          config.token = result.token;
+  // the OAuth errors tell the user what to fix before trying again
+  var oauthErrorMessages = {
+    InvalidPinCode: 'Invalid PIN, please check it and try again'
+    , ExpiredPinCode: 'The PIN has expired, please connect again to get a new one'
+    , InvalidClientCredentials: 'Invalid product ID or secret, please check config.json'
+    , MalformedOAuthResponse: 'Unexpected response from Nest, please try again'
+  };
 
-          // update the config file
-          fs.writeFile('./config.json', JSON.stringify(config, null, 2), function(error){
-            if(error) {return console.warn(error)}
-          });
+  function describeOauthError (err) {
+    return (err && oauthErrorMessages[err.name]) || 'Disconnected';
+  }
+
+  function showSetup () {
+    connectedStatus.innerHTML = 'Disconnected';
+    connectedSpinner.active = false;
+    setupDiv.className = setupDivClassName;
+    disconnectButton.classList.add('display-none');
+    apiButton.disabled = false;
+    pincodeInput.value = "";
+  }
 
-          NestApplicationInterface.streamServiceChanges();
+  // do Pincode flow to get the token
+  apiButton.addEventListener('click', function(){
+    apiButton.disabled = true;
+    let OauthUrl = authorizationUrl + "?client_id="
+      + config.productID + "&state=" + generatePseudoRandomRange(12);
 
-          NestApplicationInterface.addHydratedListener(function(){
-            // modify the UI to show that the user is connected to the API
-            connectedStatus.innerHTML = 'Connected';
-            setupDiv.className = 'display-none';
-            connectedSpinner.active = false;
-          });
+      //console.log("HERE IS THE RANDOM RANGE URL!", OauthUrl);
 
-        },
-        (err) => {
-          connectedStatus.innerHTML = 'Disconnected';
-          console.error(err);
+    authWindow = new electron.remote.BrowserWindow({
+        width: 800
+        , height: 600
+        , show: true
+        , 'webPreferences': {
+            'nodeIntegration': false
         }
-      );
+    });
 
-      //user may have already closed the Nest auth window, catch the error
-      try {
-        authWindow.close();
-      }
-      catch (e) {
+    authWindow.loadURL(OauthUrl);
+  });
 
-      }
-    });
+  pincodeButton.addEventListener('click', function(){
+    // modify the UI to show that the API is being connected to
+    connectedStatus.innerHTML = 'Connecting';
+    connectedSpinner.active = true;
 
-    cancelPincodeButton.addEventListener('click', function(){
-      pincodeInput.value = "";
-      apiButton.disabled = false;
-      //user may have already closed the Nest auth window, catch the error
-      try {
-        authWindow.close();
+    NestApplicationInterface.doOauth( config.productID, config.productSecret, pincodeInput.value ).then(
+      (result) => {
+        // the credential holds the access token, never log it
+        console.log("OAuth finished, token expires at: ", result.expiresAt);
+
+        // store the token and its expiry in the config file
+        saveCredential(result);
+
+        NestApplicationInterface.streamServiceChanges();
+      },
+      (err) => {
+        // nothing is written to the config file, let the user try again
+        showSetup();
+        connectedStatus.innerHTML = describeOauthError(err);
+        console.error(err);
       }
-      catch (e) {
-
+    );
+
+    //user may have already closed the Nest auth window, catch the error
+    try {
+      authWindow.close();
+    }
+    catch (e) {
+
+    }
+  });
+
+  // revoke the token with the Nest API so that the authorization is actually
+  // removed, not only forgotten by the app
+  disconnectButton.addEventListener('click', function(){
+    disconnectButton.disabled = true;
+    connectedStatus.innerHTML = 'Disconnecting';
+
+    NestApplicationInterface.deauthorize().then(
+      () => {
+        forgetCredential();
+        showSetup();
+        disconnectButton.disabled = false;
+      },
+      (err) => {
+        // the token is kept, the user can try again
+        connectedStatus.innerHTML = 'Disconnect failed';
+        disconnectButton.disabled = false;
+        console.error(err);
       }
-    });
-  }
-  else{
+    );
+  });
+
+  cancelPincodeButton.addEventListener('click', function(){
+    pincodeInput.value = "";
+    apiButton.disabled = false;
+    //user may have already closed the Nest auth window, catch the error
+    try {
+      authWindow.close();
+    }
+    catch (e) {
+
+    }
+  });
+
+  NestApplicationInterface.addHydratedListener(function(){
+    // modify the UI to show that the user is connected to the API
+    connectedStatus.innerHTML = 'Connected';
+    setupDiv.className = 'display-none';
+    disconnectButton.classList.remove('display-none');
+    connectedSpinner.active = false;
+  });
+
+  // the token was revoked or rejected by the API: forget it and put the
+  // user back into the Pincode flow
+  NestApplicationInterface.addAuthTokenRevokedListener(function(){
+    forgetCredential();
+    showSetup();
+  });
+
+  // warn ahead of the token lapsing so that it can be renewed in time
+  NestApplicationInterface.addTokenExpiringListener(function(expiry){
+    connectedStatus.innerHTML = 'Connected (token expires '
+      + new Date(expiry.expiresAt).toLocaleString() + ')';
+  });
+
+  // the token has lapsed: forget it and put the user back into the Pincode
+  // flow
+  NestApplicationInterface.addTokenExpiredListener(function(){
+    NestApplicationInterface.closeServiceStreams();
+    forgetCredential();
+    showSetup();
+  });
+
+  // if the user already has a token which has not expired, don't redo the
+  // OAuth flow
+  if(config.token !== "your_token" && config.token !== ""
+    && !(config.tokenExpiresAt && config.tokenExpiresAt <= Date.now())){
     // change some things in the UI
     connectedStatus.innerHTML = 'Connecting';
     connectedSpinner.active = true;
     setupDiv.className = 'display-none';
 
-    // token already exists, don't redo OAuth flow
-    NestApplicationInterface.setToken(config.token);
+    NestApplicationInterface.setToken({
+      token: config.token
+      , issuedAt: config.tokenIssuedAt
+      , expiresAt: config.tokenExpiresAt
+    });
 
     NestApplicationInterface.streamServiceChanges();
-
-    NestApplicationInterface.addHydratedListener(function(){
-      connectedStatus.innerHTML = 'Connected';
-      connectedSpinner.active = false;
-    });
   }
 
 })(document);